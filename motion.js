@@ -0,0 +1,29 @@
+//---------------------------------------------------MOTION------------------------------------------------------------//
+// Whether the visitor asked for reduced motion (prefers-reduced-motion: reduce). Pages load this file
+// before every other script; each animation reads motionPreference.reduced when it starts and
+// subscribes to switch to its static variant, or back, while the page is open.
+const motionPreference = (() => {
+    const query = window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
+    const subscribers = new Set();
+    let reduced = query ? query.matches : false;
+
+    if (query) {
+        query.addEventListener('change', (event) => {
+            reduced = event.matches;
+            subscribers.forEach(subscriber => subscriber(reduced));
+        });
+    }
+
+    return {
+        get reduced() {
+            return reduced;
+        },
+        // Calls subscriber(reduced) on every change, returns the function that unsubscribes it
+        subscribe(subscriber) {
+            subscribers.add(subscriber);
+            return () => {
+                subscribers.delete(subscriber);
+            };
+        }
+    };
+})();
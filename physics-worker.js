@@ -0,0 +1,127 @@
+//---------------------------------------------------PHYSICS-WORKER------------------------------------------------------------//
+// Steps the Matter engine for initPhysics({ worker: { enabled: true } }). The page keeps a mirror of
+// the world for rendering and input; every 'step' message carries what changed on the page since the
+// last state, the answer is the new transform of every dynamic body.
+let engine = null;
+let dragConstraint = null;
+// page body id -> worker body
+const bodies = new Map();
+
+// Floats per body in a 'state' message: id, x, y, angle, velocity x/y, angular velocity, sleeping
+const STATE_STRIDE = 8;
+
+function init(message) {
+    try {
+        importScripts(message.matterUrl);
+    } catch (error) {
+        self.postMessage({ type: 'error', message: `could not load Matter from ${message.matterUrl}` });
+        return;
+    }
+
+    const { Engine, Constraint, Composite } = Matter;
+    engine = Engine.create({
+        gravity: message.engine.gravity,
+        enableSleeping: message.engine.enableSleeping,
+        constraintIterations: message.engine.constraintIterations
+    });
+
+    // Stands in for the page's MouseConstraint, attached to whatever body is being dragged there
+    dragConstraint = Constraint.create({
+        pointA: { x: 0, y: 0 },
+        pointB: { x: 0, y: 0 },
+        length: 0.01,
+        stiffness: 0.1
+    });
+    Composite.add(engine.world, dragConstraint);
+
+    self.postMessage({ type: 'ready' });
+}
+
+function applyState(body, state) {
+    const { Body, Sleeping } = Matter;
+    Body.setPosition(body, { x: state.x, y: state.y });
+    Body.setAngle(body, state.angle);
+    if (body.isStatic) return;
+
+    Body.setVelocity(body, { x: state.velocityX, y: state.velocityY });
+    Body.setAngularVelocity(body, state.angularVelocity);
+    if (body.isSleeping !== state.isSleeping) Sleeping.set(body, state.isSleeping);
+}
+
+function addBody(description) {
+    const { Bodies, Body, Composite } = Matter;
+    // The page sends the outline at angle 0 around the centre of mass, so the rebuilt body lines up
+    const body = Bodies.fromVertices(description.x, description.y, [description.vertices], {
+        isStatic: description.isStatic,
+        density: description.density,
+        restitution: description.restitution,
+        friction: description.friction,
+        frictionAir: description.frictionAir,
+        slop: description.slop
+    });
+    Body.setPosition(body, { x: description.x, y: description.y });
+
+    bodies.set(description.id, body);
+    Composite.add(engine.world, body);
+    applyState(body, description);
+}
+
+function step(message) {
+    const { Composite, Engine } = Matter;
+
+    message.removed.forEach(id => {
+        Composite.remove(engine.world, bodies.get(id));
+        bodies.delete(id);
+    });
+    message.added.forEach(addBody);
+    message.overrides.forEach(state => {
+        if (bodies.has(state.id)) applyState(bodies.get(state.id), state);
+    });
+    message.forces.forEach(force => {
+        const body = bodies.get(force.id);
+        if (!body) return;
+        body.force.x += force.x;
+        body.force.y += force.y;
+        body.torque += force.torque;
+    });
+
+    const drag = message.drag;
+    dragConstraint.bodyB = drag ? bodies.get(drag.id) || null : null;
+    if (drag) {
+        dragConstraint.pointA = drag.pointA;
+        dragConstraint.pointB = drag.pointB;
+        dragConstraint.stiffness = drag.stiffness;
+        dragConstraint.damping = drag.damping;
+        dragConstraint.angularStiffness = drag.angularStiffness;
+    }
+
+    engine.gravity.x = message.gravity.x;
+    engine.gravity.y = message.gravity.y;
+    engine.gravity.scale = message.gravity.scale;
+    Engine.update(engine, message.delta);
+
+    const dynamic = Array.from(bodies).filter(([, body]) => !body.isStatic);
+    const data = new Float64Array(dynamic.length * STATE_STRIDE);
+    dynamic.forEach(([id, body], index) => {
+        data.set([
+            id,
+            body.position.x,
+            body.position.y,
+            body.angle,
+            body.velocity.x,
+            body.velocity.y,
+            body.angularVelocity,
+            body.isSleeping ? 1 : 0
+        ], index * STATE_STRIDE);
+    });
+    self.postMessage({ type: 'state', data }, [data.buffer]);
+}
+
+self.onmessage = (event) => {
+    const message = event.data;
+    if (message.type === 'init') {
+        init(message);
+    } else if (message.type === 'step' && engine) {
+        step(message);
+    }
+};
@@ -0,0 +1,1475 @@
+//---------------------------------------------------LAPTOP------------------------------------------------------------//
+// Shared falling-icons scene. Every page that shows the laptop loads this file (after motion.js) before
+// its own script and calls initPhysics(options); anything not passed falls back to PHYSICS_DEFAULTS.
+const PHYSICS_DEFAULTS = {
+    container: '#canvas-container',      // element the canvas is mounted into
+    sprites: '.svg-sprites img',         // <img> elements turned into bodies
+    engine: {
+        gravity: { x: 0, y: 0.5 },
+        enableSleeping: true,
+        constraintIterations: 2
+    },
+    render: {
+        maxPixelRatio: 2                 // devicePixelRatio is capped at this value
+    },
+    bodies: {
+        restitution: 0.7,
+        friction: 0.01,
+        frictionAir: 0.005,
+        density: 0.002,
+        slop: 0,
+        chamfer: 2,                      // corner radius in px, rectangles only
+        shape: 'rectangle',              // 'rectangle', 'circle', 'hull' (convex outline) or 'auto' (circle when round enough, else hull)
+        roundness: 0.88                  // how much of its enclosing circle an outline must fill for 'auto' to pick a circle
+    },
+    spawn: {
+        pattern: 'random',               // 'random', 'seeded', 'cascade' (left to right), 'burst' (from the centre) or 'pour' (one stream)
+        seed: 1,                         // every pattern but 'random' draws from this seed, so the intro is the same on every load
+        stagger: 120,                    // ms between two sprites entering in 'cascade', 'burst' and 'pour'
+        speed: 6                         // initial speed of 'burst' and 'pour' sprites
+    },
+    walls: {
+        thickness: 60,
+        restitution: 0.7,
+        friction: 0,
+        closeTopWhenSettled: false       // add a ceiling on 'scenesettled', removed again by reset()
+    },
+    monitor: {
+        escapeMargin: 100,               // px outside the container after which a sprite counts as escaped
+        settleSpeed: 0.1,                // speed under which a sprite counts as settled when sleeping is disabled
+        respawnFade: 400                 // ms an escaped sprite takes to fade back in, 0 shows it at once
+    },
+    tilt: {
+        enabled: false,                  // tilting the phone moves gravity, asks for permission on the first tap where required
+        strength: 1,                     // gravity added at full tilt
+        maxAngle: 45,                    // degrees of tilt that count as full tilt
+        neutralBeta: 45,                 // front/back angle a phone is usually held at, treated as no tilt
+        smoothing: 0.1,                  // share of the remaining distance gravity moves per step
+        minGravityY: 0.1                 // keeps sprites from floating up out of the open top
+    },
+    links: {
+        open: false,                     // clicking a sprite with data-href navigates to it
+        target: '_self'                  // window.open target for data-href
+    },
+    tooltip: {
+        enabled: false,                  // show data-tooltip (or data-label) above the hovered sprite
+        offset: 8                        // px between the sprite and the tooltip
+    },
+    persist: {
+        enabled: false,                  // save the pile on pagehide and put it back on the next load in this tab
+        key: 'laptop-physics'            // sessionStorage key, give every scene on a site its own
+    },
+    worker: {
+        enabled: false,                  // step the engine in a Web Worker, falls back to the main thread if it can't start
+        url: 'physics-worker.js',
+        matterUrl: 'https://cdnjs.cloudflare.com/ajax/libs/matter-js/0.19.0/matter.min.js'
+    },
+    visibility: {
+        pauseOffscreen: true,            // stop stepping while the container is scrolled out of view
+        pauseHidden: true                // stop stepping while the tab is in the background
+    },
+    interaction: {
+        repelRadius: 100,                // px around the pointer where bodies are pushed away
+        repelForce: 0.05,
+        maxPointerSpeed: 3,
+        throttle: 16,                    // ms between two repel updates
+        dragStiffness: 0.1,
+        dragDamping: 0.1,
+        touchAction: 'pan-y',            // CSS touch-action of the canvas, 'pan-y' keeps vertical swipes scrolling the page
+        flickSpeed: 12,                  // upward speed given to a tapped sprite, 0 disables tap-to-flick
+        tapMaxDuration: 250,             // ms a press may last to count as a tap
+        tapMaxDistance: 10               // px a press may move to count as a tap
+    }
+};
+
+const PHYSICS_LIMITS = {
+    'engine.gravity.x': [-5, 5],
+    'engine.gravity.y': [-5, 5],
+    'engine.constraintIterations': [1, 20],
+    'render.maxPixelRatio': [0.5, 4],
+    'bodies.restitution': [0, 1],
+    'bodies.friction': [0, 1],
+    'bodies.frictionAir': [0, 1],
+    'bodies.density': [0.0001, 1],
+    'bodies.slop': [0, 1],
+    'bodies.chamfer': [0, 50],
+    'bodies.roundness': [0, 1],
+    'spawn.seed': [0, 4294967295],
+    'spawn.stagger': [0, 5000],
+    'spawn.speed': [0, 50],
+    'walls.thickness': [1, 1000],
+    'walls.restitution': [0, 1],
+    'walls.friction': [0, 1],
+    'monitor.escapeMargin': [0, 1000],
+    'monitor.settleSpeed': [0, 10],
+    'monitor.respawnFade': [0, 5000],
+    'interaction.repelRadius': [0, 1000],
+    'interaction.repelForce': [0, 1],
+    'interaction.maxPointerSpeed': [0, 100],
+    'interaction.throttle': [0, 1000],
+    'interaction.dragStiffness': [0, 1],
+    'tilt.strength': [0, 5],
+    'tilt.maxAngle': [1, 90],
+    'tilt.neutralBeta': [-90, 90],
+    'tilt.smoothing': [0.01, 1],
+    'tilt.minGravityY': [-5, 5],
+    'tooltip.offset': [0, 200],
+    'interaction.dragDamping': [0, 1],
+    'interaction.flickSpeed': [0, 50],
+    'interaction.tapMaxDuration': [0, 2000],
+    'interaction.tapMaxDistance': [0, 100]
+};
+
+const PHYSICS_CHOICES = {
+    'spawn.pattern': ['random', 'seeded', 'cascade', 'burst', 'pour'],
+    'bodies.shape': ['rectangle', 'circle', 'hull', 'auto'],
+    'interaction.touchAction': ['pan-y', 'pan-x', 'none', 'auto'],
+    'links.target': ['_self', '_blank']
+};
+
+// mulberry32, a tiny seeded generator with the same contract as Math.random
+function createSeededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Bumped whenever the snapshot layout changes, older snapshots are ignored
+const PHYSICS_SNAPSHOT_VERSION = 1;
+
+// Most engine steps (a minute of simulated time) spent settling the pile in one go under reduced motion
+const PHYSICS_SETTLE_MAX_STEPS = 3600;
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Merges user options over the defaults. Unknown keys, wrong types and out-of-range numbers
+// are reported and replaced by the default, so a typo never breaks the scene.
+function resolvePhysicsOptions(options, defaults = PHYSICS_DEFAULTS, path = '') {
+    const resolved = {};
+
+    if (options !== undefined && !isPlainObject(options)) {
+        console.error(`initPhysics: option "${path.slice(0, -1) || 'options'}" must be an object, got ${typeof options}`);
+        options = {};
+    }
+    options = options || {};
+
+    Object.keys(options).forEach(key => {
+        if (!(key in defaults)) {
+            console.error(`initPhysics: unknown option "${path}${key}"`);
+        }
+    });
+
+    Object.keys(defaults).forEach(key => {
+        const fullKey = path + key;
+        const fallback = defaults[key];
+        const value = options[key];
+
+        if (isPlainObject(fallback)) {
+            resolved[key] = resolvePhysicsOptions(value, fallback, `${fullKey}.`);
+            return;
+        }
+        if (value === undefined) {
+            resolved[key] = fallback;
+            return;
+        }
+        if (typeof value !== typeof fallback || (typeof value === 'number' && !Number.isFinite(value))) {
+            console.error(`initPhysics: option "${fullKey}" must be a ${typeof fallback}, got ${value}`);
+            resolved[key] = fallback;
+            return;
+        }
+
+        const limits = PHYSICS_LIMITS[fullKey];
+        if (limits && (value < limits[0] || value > limits[1])) {
+            console.error(`initPhysics: option "${fullKey}" must be between ${limits[0]} and ${limits[1]}, got ${value}`);
+            resolved[key] = fallback;
+            return;
+        }
+        const choices = PHYSICS_CHOICES[fullKey];
+        if (choices && !choices.includes(value)) {
+            console.error(`initPhysics: option "${fullKey}" must be one of ${choices.join(', ')}, got ${value}`);
+            resolved[key] = fallback;
+            return;
+        }
+        resolved[key] = value;
+    });
+
+    return resolved;
+}
+
+//---------------------------------------------------SHAPES------------------------------------------------------------//
+// Collision outlines traced from the sprites' alpha channel. Images are sampled at a small size,
+// so tracing is cheap, and cached per src, so every image is only traced once per page.
+const SPRITE_SAMPLE_SIZE = 64;
+const SPRITE_ALPHA_THRESHOLD = 32;
+const spriteOutlineCache = new Map();
+
+// Andrew's monotone chain, returns the hull in clockwise screen order without collinear points
+function convexHull(points) {
+    const sorted = points.slice().sort((a, b) => a.x - b.x || a.y - b.y);
+    if (sorted.length < 3) return sorted;
+
+    const cross = (o, a, b) => (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+    const lower = [];
+    const upper = [];
+
+    sorted.forEach(point => {
+        while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], point) <= 0) lower.pop();
+        lower.push(point);
+    });
+    sorted.slice().reverse().forEach(point => {
+        while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], point) <= 0) upper.pop();
+        upper.push(point);
+    });
+
+    lower.pop();
+    upper.pop();
+    return lower.concat(upper);
+}
+
+function polygonCentroid(points) {
+    let area = 0;
+    let x = 0;
+    let y = 0;
+
+    points.forEach((a, i) => {
+        const b = points[(i + 1) % points.length];
+        const cross = a.x * b.y - b.x * a.y;
+        area += cross;
+        x += (a.x + b.x) * cross;
+        y += (a.y + b.y) * cross;
+    });
+
+    area /= 2;
+    return { x: x / (6 * area), y: y / (6 * area), area: Math.abs(area) };
+}
+
+// Returns { hull, circle, roundness } in image pixels, or null when the image can't be read
+// (not loaded, or a cross-origin image that taints the canvas).
+function traceSpriteOutline(img) {
+    if (spriteOutlineCache.has(img.src)) return spriteOutlineCache.get(img.src);
+
+    const width = img.naturalWidth || img.width;
+    const height = img.naturalHeight || img.height;
+    let outline = null;
+
+    try {
+        const scale = Math.min(1, SPRITE_SAMPLE_SIZE / Math.max(width, height));
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(width * scale));
+        canvas.height = Math.max(1, Math.round(height * scale));
+
+        const context = canvas.getContext('2d');
+        context.drawImage(img, 0, 0, canvas.width, canvas.height);
+        const { data } = context.getImageData(0, 0, canvas.width, canvas.height);
+
+        // The leftmost and rightmost opaque pixel of every row is enough to find the convex hull
+        const points = [];
+        for (let y = 0; y < canvas.height; y++) {
+            let left = -1;
+            let right = -1;
+            for (let x = 0; x < canvas.width; x++) {
+                if (data[(y * canvas.width + x) * 4 + 3] > SPRITE_ALPHA_THRESHOLD) {
+                    if (left === -1) left = x;
+                    right = x;
+                }
+            }
+            if (left === -1) continue;
+            points.push(
+                { x: left / scale, y: y / scale },
+                { x: left / scale, y: (y + 1) / scale },
+                { x: (right + 1) / scale, y: y / scale },
+                { x: (right + 1) / scale, y: (y + 1) / scale }
+            );
+        }
+
+        const hull = convexHull(points);
+        if (hull.length >= 3) {
+            const centroid = polygonCentroid(hull);
+            const radius = Math.max(...hull.map(point => Math.hypot(point.x - centroid.x, point.y - centroid.y)));
+            outline = {
+                hull,
+                circle: { x: centroid.x, y: centroid.y, radius },
+                roundness: centroid.area / (Math.PI * radius * radius)
+            };
+        }
+    } catch (error) {
+        console.error(`initPhysics: could not trace the outline of "${img.src}"`, error);
+    }
+
+    spriteOutlineCache.set(img.src, outline);
+    return outline;
+}
+
+function readSpriteMetadata(img) {
+    const { id = null, href = null, label = null, tooltip = null } = img.dataset || {};
+    return { id, href, label, tooltip, src: img.src };
+}
+
+// Resolves to a worker that has loaded Matter, or to null when workers are unavailable or it fails to start
+function startPhysicsWorker(options, engineOptions) {
+    return new Promise((resolve) => {
+        if (!('Worker' in window)) {
+            resolve(null);
+            return;
+        }
+
+        let worker;
+        try {
+            worker = new Worker(options.url);
+        } catch (error) {
+            console.error('initPhysics: could not start the physics worker, stepping on the main thread', error);
+            resolve(null);
+            return;
+        }
+
+        const timeout = setTimeout(() => fail('timed out'), 5000);
+        function fail(reason) {
+            clearTimeout(timeout);
+            worker.terminate();
+            console.error(`initPhysics: physics worker failed (${reason}), stepping on the main thread`);
+            resolve(null);
+        }
+
+        worker.onerror = (event) => fail(event.message);
+        worker.onmessage = (event) => {
+            if (event.data.type === 'ready') {
+                clearTimeout(timeout);
+                worker.onerror = null;
+                worker.onmessage = null;
+                resolve(worker);
+            } else if (event.data.type === 'error') {
+                fail(event.data.message);
+            }
+        };
+        worker.postMessage({ type: 'init', matterUrl: options.matterUrl, engine: engineOptions });
+    });
+}
+
+function loadSpriteImage(src) {
+    return new Promise((resolve) => {
+        const img = new Image();
+        img.onload = () => resolve(img);
+        img.onerror = () => resolve(img);
+        img.src = src;
+    });
+}
+
+// Resolves to a controller for the scene: pause(), resume(), reset(), relayout(), step(count), destroy(),
+// addSprite(src, metadata, placement), removeSprite(id), getSpritePosition(id), enableTilt(), disableTilt() and
+// getSpriteStates(). Sprite ids are the Matter body ids.
+//
+// The container also dispatches bubbling 'spriteclick', 'spritehover', 'spritedrag' and 'spritestate'
+// CustomEvents, detail is { id, metadata } plus `hovered`, `phase` or `state` ('active', 'settled',
+// 'escaped'), and 'scenesettled' once every sprite has come to rest. Metadata comes from the <img> data attributes:
+// data-id, data-href, data-label and data-tooltip.
+async function initPhysics(options) {
+    const config = resolvePhysicsOptions(options);
+    const imageLoadMap = new WeakMap();
+
+    const container = document.querySelector(config.container);
+    if (!container) {
+        console.error(`initPhysics: container "${config.container}" not found`);
+        return null;
+    }
+
+    const imgElements = Array.from(document.querySelectorAll(config.sprites));
+    await Promise.all(imgElements.map(img => {
+        if (imageLoadMap.has(img)) return imageLoadMap.get(img);
+        const promise = new Promise((resolve) => {
+            if (img.complete) resolve();
+            img.onload = () => resolve();
+            img.onerror = () => resolve();
+        });
+        imageLoadMap.set(img, promise);
+        return promise;
+    }));
+
+    const { Engine, Render, Runner, Bodies, Composite, Mouse, MouseConstraint, Body, Vector, Vertices, World, Sleeping, Query, Events } = Matter;
+
+    const engine = Engine.create({
+        gravity: { ...config.engine.gravity },
+        enableSleeping: config.engine.enableSleeping,
+        constraintIterations: config.engine.constraintIterations
+    });
+
+    const world = engine.world;
+
+    function currentPixelRatio() {
+        return Math.min(window.devicePixelRatio || 1, config.render.maxPixelRatio);
+    }
+
+    const render = Render.create({
+        element: container,
+        engine: engine,
+        options: {
+            width: container.clientWidth,
+            height: container.clientHeight,
+            wireframes: false,
+            background: 'transparent',
+            pixelRatio: currentPixelRatio(),
+            showSleeping: false,
+            showDebug: false
+        }
+    });
+
+    const wallOptions = {
+        isStatic: true,
+        render: { visible: false },
+        friction: config.walls.friction,
+        restitution: config.walls.restitution,
+        chamfer: { radius: 0 }
+    };
+
+    // Updated by relayout(), everything that depends on the container size reads these
+    let containerWidth = container.clientWidth;
+    let containerHeight = container.clientHeight;
+    const wallThickness = config.walls.thickness;
+
+    // Floor, left and right wall. The side walls are as tall as the container plus the
+    // floor so nothing slips through the bottom corners.
+    function createWalls() {
+        const sideHeight = containerHeight + wallThickness * 2;
+        return [
+            Bodies.rectangle(containerWidth / 2, containerHeight + wallThickness / 2, containerWidth + wallThickness * 2, wallThickness, wallOptions),
+            Bodies.rectangle(-wallThickness / 2, containerHeight / 2, wallThickness, sideHeight, wallOptions),
+            Bodies.rectangle(containerWidth + wallThickness / 2, containerHeight / 2, wallThickness, sideHeight, wallOptions)
+        ];
+    }
+
+    function createTopWall() {
+        return Bodies.rectangle(containerWidth / 2, -wallThickness / 2, containerWidth + wallThickness * 2, wallThickness, wallOptions);
+    }
+
+    let walls = createWalls();
+
+    const bodyOptions = {
+        restitution: config.bodies.restitution,
+        friction: config.bodies.friction,
+        frictionAir: config.bodies.frictionAir,
+        density: config.bodies.density,
+        slop: config.bodies.slop,
+        chamfer: { radius: config.bodies.chamfer }
+    };
+
+    const random = config.spawn.pattern === 'random' ? Math.random : createSeededRandom(config.spawn.seed);
+
+    // Where a single sprite re-enters the scene (respawns, addSprite)
+    function spawnPosition(index) {
+        return {
+            x: 50 + random() * (containerWidth - 100),
+            y: -100 - (index * 100)
+        };
+    }
+
+    // Start position, velocity and delay (ms of engine time) of sprite `index` out of `count`
+    function spawnPlan(index, count) {
+        const { pattern, stagger, speed } = config.spawn;
+        const still = { x: 0, y: 0 };
+
+        switch (pattern) {
+        case 'cascade':
+            return {
+                position: { x: 50 + (containerWidth - 100) * (count > 1 ? index / (count - 1) : 0.5), y: -100 },
+                velocity: still,
+                delay: index * stagger
+            };
+        case 'burst': {
+            // Fan out over the upper half circle, alternating sides so the spray stays balanced
+            const spread = (random() * 0.8 + 0.2) * (index % 2 ? 1 : -1);
+            const angle = -Math.PI / 2 + spread * Math.PI / 2;
+            return {
+                position: { x: containerWidth / 2, y: containerHeight / 2 },
+                velocity: { x: Math.cos(angle) * speed, y: Math.sin(angle) * speed },
+                delay: Math.floor(index / 2) * stagger
+            };
+        }
+        case 'pour':
+            return {
+                position: { x: containerWidth / 2 + (random() - 0.5) * 20, y: -60 },
+                velocity: { x: (random() - 0.5) * speed * 0.5, y: speed },
+                delay: index * stagger
+            };
+        default:
+            return { position: spawnPosition(index), velocity: still, delay: 0 };
+        }
+    }
+
+    function createSpriteBody(img, position) {
+        const width = img.naturalWidth || img.width;
+        const height = img.naturalHeight || img.height;
+        const sprite = {
+            texture: img.src,
+            xScale: 1,
+            yScale: 1
+        };
+
+        const { shape, roundness } = config.bodies;
+        const outline = shape === 'rectangle' ? null : traceSpriteOutline(img);
+
+        if (outline) {
+            const { chamfer, ...shapeOptions } = bodyOptions;
+            const useCircle = shape === 'circle' || (shape === 'auto' && outline.roundness >= roundness);
+
+            // The body is centred on its outline, so the texture is shifted to keep the artwork on it
+            if (useCircle) {
+                const { x, y, radius } = outline.circle;
+                return Bodies.circle(position.x, position.y, radius, {
+                    ...shapeOptions,
+                    render: { sprite: { ...sprite, xOffset: x / width, yOffset: y / height } }
+                });
+            }
+
+            const centre = polygonCentroid(outline.hull);
+            return Bodies.fromVertices(position.x, position.y, [outline.hull], {
+                ...shapeOptions,
+                render: { sprite: { ...sprite, xOffset: centre.x / width, yOffset: centre.y / height } }
+            });
+        }
+
+        return Bodies.rectangle(
+            position.x,
+            position.y,
+            width,
+            height,
+            {
+                ...bodyOptions,
+                render: { sprite }
+            }
+        );
+    }
+
+    const bodies = imgElements.map((img, index) => createSpriteBody(img, spawnPlan(index, imgElements.length).position));
+    // body id -> metadata read from the sprite's data attributes
+    const spriteMetadata = new Map(bodies.map((body, index) => [body.id, readSpriteMetadata(imgElements[index])]));
+
+    let topWall = null;
+    // Sprites of the current drop that haven't entered the world yet, ordered by `at` (engine time)
+    const pendingSpawns = [];
+    let isRunning = false;
+    let isDestroyed = false;
+    // The scene only runs while nothing holds it: an explicit pause(), the container being
+    // off-screen or the tab being hidden each add their own reason. 'starting' holds it until init
+    // has finished, so nothing starts stepping before it is known whether the worker does.
+    const suspendReasons = new Set(['starting']);
+
+    // Every listener goes through listen() so destroy() can detach all of them
+    const listeners = [];
+    function listen(target, type, handler, listenerOptions) {
+        target.addEventListener(type, handler, listenerOptions);
+        const remove = () => target.removeEventListener(type, handler, listenerOptions);
+        listeners.push(remove);
+        return remove;
+    }
+
+    const mouse = Mouse.create(render.canvas);
+    // Mouse.create reads the canvas ratio with parseInt, which turns 1.25 or 1.5 into 1
+    mouse.pixelRatio = currentPixelRatio();
+    const mouseConstraint = MouseConstraint.create(engine, {
+        mouse: mouse,
+        constraint: {
+            stiffness: config.interaction.dragStiffness,
+            damping: config.interaction.dragDamping,
+            render: {
+                visible: false,
+                lineWidth: 1,
+                strokeStyle: 'rgba(255,255,255,0.2)'
+            }
+        }
+    });
+
+    // Pointer Events drive Matter's mouse (primary pointer only, it does the dragging) and the
+    // repel effect (every active pointer). Matter's own mouse, touch and wheel listeners are all
+    // detached: they call preventDefault on touch and wheel and would keep the page from scrolling.
+    ['mousemove', 'touchmove'].forEach(type => render.canvas.removeEventListener(type, mouse.mousemove));
+    ['mousedown', 'touchstart'].forEach(type => render.canvas.removeEventListener(type, mouse.mousedown));
+    ['mouseup', 'touchend'].forEach(type => render.canvas.removeEventListener(type, mouse.mouseup));
+    ['mousewheel', 'DOMMouseScroll'].forEach(type => render.canvas.removeEventListener(type, mouse.mousewheel));
+    render.canvas.style.touchAction = config.interaction.touchAction;
+
+    const { repelRadius, repelForce, maxPointerSpeed, throttle } = config.interaction;
+    const { flickSpeed, tapMaxDuration, tapMaxDistance } = config.interaction;
+    // pointerId -> { type, position, lastTime, isDown, downPosition, downTime }
+    const pointers = new Map();
+
+    function pointerPosition(event) {
+        const rect = render.canvas.getBoundingClientRect();
+        return {
+            x: (event.clientX - rect.left) * (containerWidth / (rect.width || containerWidth)),
+            y: (event.clientY - rect.top) * (containerHeight / (rect.height || containerHeight))
+        };
+    }
+
+    function repel(position, speed) {
+        bodies.forEach(body => {
+            const distance = Vector.magnitude(Vector.sub(body.position, position));
+            if (distance < repelRadius) {
+                const force = Vector.mult(
+                    Vector.normalise(Vector.sub(body.position, position)),
+                    repelForce * (1 - distance / repelRadius) * Math.min(maxPointerSpeed, speed)
+                );
+                Body.applyForce(body, body.position, force);
+            }
+        });
+    }
+
+    function spriteAt(position) {
+        const hits = Query.point(bodies, position);
+        return hits[hits.length - 1] || null;
+    }
+
+    function emitSpriteEvent(type, body, extra) {
+        container.dispatchEvent(new CustomEvent(type, {
+            bubbles: true,
+            detail: { id: body.id, metadata: spriteMetadata.get(body.id), ...extra }
+        }));
+    }
+
+    let tooltipElement = null;
+    let hoveredBody = null;
+
+    function positionTooltip() {
+        if (!tooltipElement || !hoveredBody) return;
+        tooltipElement.style.left = `${hoveredBody.position.x}px`;
+        tooltipElement.style.top = `${hoveredBody.bounds.min.y - config.tooltip.offset}px`;
+    }
+
+    function setHoveredBody(body) {
+        if (body === hoveredBody) return;
+        if (hoveredBody) emitSpriteEvent('spritehover', hoveredBody, { hovered: false });
+        hoveredBody = body;
+
+        const metadata = body && spriteMetadata.get(body.id);
+        render.canvas.style.cursor = metadata && metadata.href ? 'pointer' : '';
+
+        const text = metadata && (metadata.tooltip || metadata.label);
+        if (config.tooltip.enabled && text) {
+            if (!tooltipElement) {
+                tooltipElement = document.createElement('div');
+                tooltipElement.className = 'physics-tooltip';
+                tooltipElement.setAttribute('role', 'tooltip');
+                container.appendChild(tooltipElement);
+            }
+            tooltipElement.textContent = text;
+            tooltipElement.hidden = false;
+            positionTooltip();
+        } else if (tooltipElement) {
+            tooltipElement.hidden = true;
+        }
+
+        if (body) emitSpriteEvent('spritehover', body, { hovered: true });
+    }
+
+    Events.on(engine, 'afterUpdate', positionTooltip);
+
+    Events.on(mouseConstraint, 'startdrag', (event) => {
+        if (spriteMetadata.has(event.body.id)) emitSpriteEvent('spritedrag', event.body, { phase: 'start' });
+    });
+    Events.on(mouseConstraint, 'enddrag', (event) => {
+        if (spriteMetadata.has(event.body.id)) emitSpriteEvent('spritedrag', event.body, { phase: 'end' });
+    });
+
+    function clickSprite(body) {
+        emitSpriteEvent('spriteclick', body);
+
+        const { href } = spriteMetadata.get(body.id);
+        if (config.links.open && href) {
+            window.open(href, config.links.target, config.links.target === '_blank' ? 'noopener' : undefined);
+        }
+    }
+
+    // Sends a tapped sprite upwards, spinning away from where it was hit
+    function flick(body, position) {
+        if (flickSpeed === 0 || motionPreference.reduced) return;
+
+        const offsetX = body.position.x - position.x;
+        Sleeping.set(body, false);
+        Body.setVelocity(body, { x: offsetX * 0.2, y: -flickSpeed });
+        Body.setAngularVelocity(body, offsetX * 0.005);
+    }
+
+    listen(render.canvas, 'pointerdown', (event) => {
+        const position = pointerPosition(event);
+        pointers.set(event.pointerId, {
+            type: event.pointerType,
+            position,
+            lastTime: 0,
+            isDown: true,
+            downPosition: position,
+            downTime: performance.now()
+        });
+
+        if (event.isPrimary) {
+            if (render.canvas.setPointerCapture) render.canvas.setPointerCapture(event.pointerId);
+            mouse.mousedown(event);
+        }
+    });
+
+    listen(render.canvas, 'pointermove', (event) => {
+        if (event.isPrimary) mouse.mousemove(event);
+
+        let pointer = pointers.get(event.pointerId);
+        if (!pointer) {
+            // Only a mouse can hover, touch and pen pointers exist between down and up
+            if (event.pointerType !== 'mouse') return;
+            pointer = { type: 'mouse', position: pointerPosition(event), lastTime: 0, isDown: false };
+            pointers.set(event.pointerId, pointer);
+        }
+
+        const currentTime = performance.now();
+        if (currentTime - pointer.lastTime < throttle) return;
+
+        const position = pointerPosition(event);
+        const speed = Vector.magnitude(Vector.mult(Vector.sub(position, pointer.position), 0.1));
+
+        // A pressed mouse drags instead of repelling, a finger repels unless it holds a sprite
+        const isDragging = pointer.type === 'mouse'
+            ? pointer.isDown
+            : event.isPrimary && Boolean(mouseConstraint.body);
+        if (!isDragging && !motionPreference.reduced) repel(position, speed);
+        if (pointer.type === 'mouse' && !pointer.isDown) setHoveredBody(spriteAt(position));
+
+        pointer.position = position;
+        pointer.lastTime = currentTime;
+    }, { passive: true });
+
+    function releasePointer(event, isCancelled) {
+        if (event.isPrimary) mouse.mouseup(event);
+
+        const pointer = pointers.get(event.pointerId);
+        if (!pointer) return;
+
+        if (!isCancelled && pointer.isDown) {
+            const position = pointerPosition(event);
+            const duration = performance.now() - pointer.downTime;
+            const distance = Vector.magnitude(Vector.sub(position, pointer.downPosition));
+            const body = duration <= tapMaxDuration && distance <= tapMaxDistance && spriteAt(position);
+            if (body) {
+                clickSprite(body);
+                flick(body, position);
+            }
+        }
+
+        if (pointer.type === 'mouse') {
+            pointer.isDown = false;
+        } else {
+            pointers.delete(event.pointerId);
+        }
+    }
+
+    listen(render.canvas, 'pointerup', (event) => releasePointer(event, false));
+    // Fired when the browser takes the gesture over, e.g. to scroll the page
+    listen(render.canvas, 'pointercancel', (event) => releasePointer(event, true));
+    listen(render.canvas, 'pointerleave', (event) => {
+        const pointer = pointers.get(event.pointerId);
+        if (pointer && !pointer.isDown) {
+            pointers.delete(event.pointerId);
+            setHoveredBody(null);
+        }
+    });
+
+    // Pushes a sprite back inside the side walls and above the floor after the container shrank.
+    // Bodies still falling in from above are left alone unless the container is closed.
+    function keepInside(body) {
+        const halfWidth = (body.bounds.max.x - body.bounds.min.x) / 2;
+        const halfHeight = (body.bounds.max.y - body.bounds.min.y) / 2;
+        const minY = topWall ? halfHeight : -Infinity;
+        const x = Math.min(Math.max(body.position.x, halfWidth), Math.max(halfWidth, containerWidth - halfWidth));
+        const y = Math.min(Math.max(body.position.y, minY), containerHeight - halfHeight);
+
+        if (x !== body.position.x || y !== body.position.y) {
+            Sleeping.set(body, false);
+            Body.setPosition(body, { x, y });
+            Body.setVelocity(body, { x: 0, y: 0 });
+        }
+    }
+
+    // Rebuilds everything that depends on the container size or the screen density
+    function relayout() {
+        if (isDestroyed) return;
+
+        const width = container.clientWidth;
+        const height = container.clientHeight;
+        const pixelRatio = currentPixelRatio();
+        if (width === containerWidth && height === containerHeight && pixelRatio === render.options.pixelRatio) return;
+
+        containerWidth = width;
+        containerHeight = height;
+
+        render.options.width = width;
+        render.options.height = height;
+        render.bounds.min.x = 0;
+        render.bounds.min.y = 0;
+        render.bounds.max.x = width;
+        render.bounds.max.y = height;
+        Render.setPixelRatio(render, pixelRatio);
+        mouse.pixelRatio = pixelRatio;
+
+        Composite.remove(world, walls);
+        walls = createWalls();
+        Composite.add(world, walls);
+
+        if (topWall) {
+            Composite.remove(world, topWall);
+            topWall = createTopWall();
+            Composite.add(world, topWall);
+        }
+
+        bodies.forEach(keepInside);
+    }
+
+    let resizeTimeout;
+    listen(window, 'resize', () => {
+        if (resizeTimeout) clearTimeout(resizeTimeout);
+        resizeTimeout = setTimeout(relayout, 250);
+    });
+
+    // devicePixelRatio changes (browser zoom, moving the window to another screen) don't always
+    // fire 'resize', so watch a resolution media query that is re-armed for every new ratio.
+    let pixelRatioQuery = null;
+    function watchPixelRatio() {
+        if (pixelRatioQuery) pixelRatioQuery.removeEventListener('change', onPixelRatioChange);
+        pixelRatioQuery = null;
+        if (isDestroyed || !window.matchMedia) return;
+
+        pixelRatioQuery = window.matchMedia(`(resolution: ${window.devicePixelRatio || 1}dppx)`);
+        pixelRatioQuery.addEventListener('change', onPixelRatioChange);
+    }
+
+    function onPixelRatioChange() {
+        relayout();
+        watchPixelRatio();
+    }
+    watchPixelRatio();
+
+    const runner = Runner.create({
+        isFixed: true,
+        delta: 1000/60
+    });
+
+    // Body state monitor. Sleeping events mark sprites settled or active, every engine step checks
+    // for sprites that left the container and, with sleeping disabled, settles slow ones by speed.
+    // body id -> 'active' | 'settled' | 'escaped'
+    const bodyStates = new Map();
+    // body id -> opacity step per engine update while a respawned sprite fades in
+    const fadingBodies = new Map();
+    let isSceneSettled = false;
+
+    function setBodyState(body, state) {
+        if (!spriteMetadata.has(body.id) || bodyStates.get(body.id) === state) return;
+        bodyStates.set(body.id, state);
+        emitSpriteEvent('spritestate', body, { state });
+    }
+
+    function watchBody(body) {
+        bodyStates.set(body.id, 'active');
+        Events.on(body, 'sleepStart', () => setBodyState(body, 'settled'));
+        Events.on(body, 'sleepEnd', () => setBodyState(body, 'active'));
+    }
+
+    function isEscaped(body) {
+        const margin = config.monitor.escapeMargin;
+        return body.position.y > containerHeight + margin ||
+            body.position.x < -margin ||
+            body.position.x > containerWidth + margin;
+    }
+
+    function respawn(body) {
+        const position = spawnPosition(0);
+        // With the ceiling in place a sprite dropped from above would land on it
+        if (topWall) position.y = (body.bounds.max.y - body.bounds.min.y) / 2 + 1;
+
+        Sleeping.set(body, false);
+        Body.setPosition(body, position);
+        Body.setAngle(body, 0);
+        Body.setVelocity(body, { x: 0, y: 0 });
+        Body.setAngularVelocity(body, 0);
+
+        const steps = config.monitor.respawnFade / (1000 / 60);
+        if (steps >= 1) {
+            body.render.opacity = 0;
+            fadingBodies.set(body.id, 1 / steps);
+        }
+        setBodyState(body, 'active');
+    }
+
+    function monitorBodies() {
+        let allSettled = pendingSpawns.length === 0;
+
+        bodies.forEach(body => {
+            const fadeStep = fadingBodies.get(body.id);
+            if (fadeStep) {
+                body.render.opacity = Math.min(1, body.render.opacity + fadeStep);
+                if (body.render.opacity === 1) fadingBodies.delete(body.id);
+            }
+
+            if (isEscaped(body)) {
+                setBodyState(body, 'escaped');
+                respawn(body);
+            } else if (!config.engine.enableSleeping) {
+                const isSlow = body.speed < config.monitor.settleSpeed && body.angularSpeed < config.monitor.settleSpeed / 10;
+                setBodyState(body, isSlow ? 'settled' : 'active');
+            }
+
+            if (bodyStates.get(body.id) !== 'settled') allSettled = false;
+        });
+
+        if (allSettled && !isSceneSettled) {
+            isSceneSettled = true;
+            // Optionally close the container so thrown sprites stay in once everything has landed
+            if (config.walls.closeTopWhenSettled && !topWall) {
+                topWall = createTopWall();
+                Composite.add(world, topWall);
+            }
+            container.dispatchEvent(new CustomEvent('scenesettled', {
+                bubbles: true,
+                detail: { count: bodies.length }
+            }));
+        } else if (!allSettled) {
+            isSceneSettled = false;
+        }
+    }
+
+    bodies.forEach(watchBody);
+    Events.on(engine, 'afterUpdate', monitorBodies);
+
+    // Snapshots are keyed by sprite src, so adding or removing icons only affects those icons:
+    // new ones drop in as usual, stale entries are ignored.
+    function saveSnapshot() {
+        const snapshot = {
+            version: PHYSICS_SNAPSHOT_VERSION,
+            width: containerWidth,
+            height: containerHeight,
+            bodies: {}
+        };
+
+        bodies.forEach(body => {
+            if (!world.bodies.includes(body) || bodyStates.get(body.id) === 'escaped') return;
+            const { src } = spriteMetadata.get(body.id);
+            (snapshot.bodies[src] = snapshot.bodies[src] || []).push({
+                x: body.position.x,
+                y: body.position.y,
+                angle: body.angle,
+                velocityX: body.velocity.x,
+                velocityY: body.velocity.y,
+                angularVelocity: body.angularVelocity
+            });
+        });
+
+        try {
+            sessionStorage.setItem(config.persist.key, JSON.stringify(snapshot));
+        } catch (error) {
+            console.error('initPhysics: could not save the scene snapshot', error);
+        }
+    }
+
+    function restoreSnapshot() {
+        let snapshot = null;
+        try {
+            snapshot = JSON.parse(sessionStorage.getItem(config.persist.key));
+        } catch (error) {
+            console.error('initPhysics: could not read the scene snapshot', error);
+        }
+        if (!snapshot || snapshot.version !== PHYSICS_SNAPSHOT_VERSION || !isPlainObject(snapshot.bodies)) return;
+
+        // Keep sprites on the floor and at the same relative x if the container changed size
+        const scaleX = containerWidth / snapshot.width;
+        const offsetY = containerHeight - snapshot.height;
+        const used = {};
+
+        bodies.forEach(body => {
+            const { src } = spriteMetadata.get(body.id);
+            const entries = snapshot.bodies[src];
+            const index = used[src] || 0;
+            used[src] = index + 1;
+            const entry = Array.isArray(entries) ? entries[index] : null;
+            if (!entry || !Number.isFinite(entry.x) || !Number.isFinite(entry.y)) return;
+
+            const pendingIndex = pendingSpawns.findIndex(spawn => spawn.body === body);
+            if (pendingIndex !== -1) pendingSpawns.splice(pendingIndex, 1);
+
+            Body.setPosition(body, { x: entry.x * scaleX, y: entry.y + offsetY });
+            Body.setAngle(body, entry.angle || 0);
+            Body.setVelocity(body, { x: entry.velocityX || 0, y: entry.velocityY || 0 });
+            Body.setAngularVelocity(body, entry.angularVelocity || 0);
+            if (!world.bodies.includes(body)) Composite.add(world, body);
+            keepInside(body);
+        });
+    }
+
+    if (config.persist.enabled) listen(window, 'pagehide', saveSnapshot);
+
+    function getSpriteStates() {
+        return Object.fromEntries(bodyStates);
+    }
+
+    // Worker mode. The worker owns the engine that actually steps; this world becomes a mirror that
+    // Render draws and the rest of the scene keeps reading and mutating as before. Each frame the
+    // mirror is diffed against the last worker state, the differences go to the worker, and its
+    // answer is written back before 'afterUpdate' fires, just like after a main-thread step.
+    let physicsWorker = null;
+    let workerFrame = null;
+    let isWorkerBusy = false;
+    // body id -> state last exchanged with the worker
+    const workerStates = new Map();
+
+    function readBodyState(body) {
+        return {
+            id: body.id,
+            x: body.position.x,
+            y: body.position.y,
+            angle: body.angle,
+            velocityX: body.velocity.x,
+            velocityY: body.velocity.y,
+            angularVelocity: body.angularVelocity,
+            isSleeping: body.isSleeping
+        };
+    }
+
+    function hasChanged(body, state) {
+        return body.position.x !== state.x || body.position.y !== state.y || body.angle !== state.angle ||
+            body.velocity.x !== state.velocityX || body.velocity.y !== state.velocityY ||
+            body.angularVelocity !== state.angularVelocity || body.isSleeping !== state.isSleeping;
+    }
+
+    function describeBody(body) {
+        const vertices = body.vertices.map(vertex => ({ x: vertex.x, y: vertex.y }));
+        Vertices.rotate(vertices, -body.angle, body.position);
+        return {
+            ...readBodyState(body),
+            vertices,
+            isStatic: body.isStatic,
+            density: body.density,
+            restitution: body.restitution,
+            friction: body.friction,
+            frictionAir: body.frictionAir,
+            slop: body.slop
+        };
+    }
+
+    function collectWorkerStep() {
+        const added = [];
+        const overrides = [];
+        const forces = [];
+        const present = new Set();
+
+        Composite.allBodies(world).forEach(body => {
+            present.add(body.id);
+            const state = workerStates.get(body.id);
+            if (!state) {
+                added.push(describeBody(body));
+            } else if (hasChanged(body, state)) {
+                overrides.push(readBodyState(body));
+            }
+            workerStates.set(body.id, readBodyState(body));
+
+            // Forces are applied once, like Engine.update clearing them after a step
+            if (body.force.x || body.force.y || body.torque) {
+                forces.push({ id: body.id, x: body.force.x, y: body.force.y, torque: body.torque });
+                body.force.x = 0;
+                body.force.y = 0;
+                body.torque = 0;
+            }
+        });
+
+        const removed = Array.from(workerStates.keys()).filter(id => !present.has(id));
+        removed.forEach(id => workerStates.delete(id));
+
+        const dragged = mouseConstraint.body;
+        const constraint = mouseConstraint.constraint;
+        return {
+            type: 'step',
+            delta: runner.delta,
+            gravity: { x: engine.gravity.x, y: engine.gravity.y, scale: engine.gravity.scale },
+            added,
+            removed,
+            overrides,
+            forces,
+            drag: dragged ? {
+                id: dragged.id,
+                pointA: { x: constraint.pointA.x, y: constraint.pointA.y },
+                pointB: { x: constraint.pointB.x, y: constraint.pointB.y },
+                stiffness: constraint.stiffness,
+                damping: constraint.damping,
+                angularStiffness: constraint.angularStiffness
+            } : null
+        };
+    }
+
+    function applyWorkerState(data) {
+        isWorkerBusy = false;
+        if (isDestroyed) return;
+
+        const mirror = new Map(Composite.allBodies(world).map(body => [body.id, body]));
+        for (let i = 0; i < data.length; i += 8) {
+            const body = mirror.get(data[i]);
+            if (!body) continue;
+
+            const isSleeping = data[i + 7] === 1;
+            if (body.isSleeping !== isSleeping) Sleeping.set(body, isSleeping);
+            Body.setPosition(body, { x: data[i + 1], y: data[i + 2] });
+            Body.setAngle(body, data[i + 3]);
+            if (!isSleeping) {
+                Body.setVelocity(body, { x: data[i + 4], y: data[i + 5] });
+                Body.setAngularVelocity(body, data[i + 6]);
+            }
+            workerStates.set(body.id, readBodyState(body));
+        }
+
+        engine.timing.timestamp += runner.delta;
+        Events.trigger(engine, 'afterUpdate', { timestamp: engine.timing.timestamp });
+    }
+
+    function workerTick() {
+        workerFrame = requestAnimationFrame(workerTick);
+        if (isWorkerBusy) return;
+
+        Events.trigger(engine, 'beforeUpdate', { timestamp: engine.timing.timestamp });
+        isWorkerBusy = true;
+        physicsWorker.postMessage(collectWorkerStep());
+    }
+
+    function attachWorker(worker) {
+        physicsWorker = worker;
+        worker.onmessage = (event) => {
+            if (event.data.type === 'state') applyWorkerState(event.data.data);
+        };
+        // A worker that dies mid-scene hands stepping back to the main thread
+        worker.onerror = (event) => {
+            console.error('initPhysics: physics worker crashed, stepping on the main thread', event.message);
+            const wasRunning = isRunning;
+            if (wasRunning) stopStepping();
+            detachWorker();
+            if (wasRunning) startStepping();
+        };
+    }
+
+    function detachWorker() {
+        if (!physicsWorker) return;
+        physicsWorker.terminate();
+        physicsWorker = null;
+        isWorkerBusy = false;
+        workerStates.clear();
+    }
+
+    function startStepping() {
+        if (physicsWorker) {
+            workerFrame = requestAnimationFrame(workerTick);
+        } else {
+            // Forget the last tick so the first step after a break is a normal frame, not the whole gap
+            runner.timePrev = null;
+            Runner.run(runner, engine);
+        }
+    }
+
+    function stopStepping() {
+        if (physicsWorker) {
+            cancelAnimationFrame(workerFrame);
+        } else {
+            Runner.stop(runner);
+        }
+    }
+
+    function updateRunning() {
+        const shouldRun = !isDestroyed && suspendReasons.size === 0;
+        if (shouldRun === isRunning) return;
+        isRunning = shouldRun;
+
+        if (shouldRun) {
+            startStepping();
+            Render.run(render);
+        } else {
+            stopStepping();
+            Render.stop(render);
+        }
+    }
+
+    function suspend(reason) {
+        suspendReasons.add(reason);
+        updateRunning();
+    }
+
+    function unsuspend(reason) {
+        suspendReasons.delete(reason);
+        updateRunning();
+    }
+
+    function pause() {
+        suspend('paused');
+    }
+
+    function resume() {
+        unsuspend('paused');
+    }
+
+    let visibilityObserver = null;
+    if (config.visibility.pauseOffscreen && 'IntersectionObserver' in window) {
+        visibilityObserver = new IntersectionObserver(entries => {
+            const entry = entries[entries.length - 1];
+            if (entry.isIntersecting) {
+                unsuspend('offscreen');
+            } else {
+                suspend('offscreen');
+            }
+        });
+        visibilityObserver.observe(container);
+    }
+
+    if (config.visibility.pauseHidden) {
+        if (document.hidden) suspendReasons.add('hidden');
+        listen(document, 'visibilitychange', () => {
+            if (document.hidden) {
+                suspend('hidden');
+            } else {
+                unsuspend('hidden');
+            }
+        });
+    }
+
+    // Device tilt. The orientation handler only sets a target, the engine eases towards it on
+    // every step so gravity stays smooth whatever rate the sensor reports at.
+    const baseGravity = config.engine.gravity;
+    const tiltGravity = { x: baseGravity.x, y: baseGravity.y };
+    let removeTiltListener = null;
+
+    function clamp(value, min, max) {
+        return Math.min(Math.max(value, min), max);
+    }
+
+    function handleOrientation(event) {
+        if (event.beta === null || event.gamma === null || event.beta === undefined || event.gamma === undefined) return;
+        if (motionPreference.reduced) return;
+
+        const { strength, maxAngle, neutralBeta, minGravityY } = config.tilt;
+        const tiltX = clamp(event.gamma / maxAngle, -1, 1);
+        const tiltY = clamp((event.beta - neutralBeta) / maxAngle, -1, 1);
+
+        // beta/gamma are relative to the device, rotate them into screen space for landscape
+        const angle = ((window.screen && window.screen.orientation && window.screen.orientation.angle) || 0) * Math.PI / 180;
+        const screenX = tiltX * Math.cos(angle) + tiltY * Math.sin(angle);
+        const screenY = tiltY * Math.cos(angle) - tiltX * Math.sin(angle);
+
+        tiltGravity.x = baseGravity.x + screenX * strength;
+        tiltGravity.y = Math.max(minGravityY, baseGravity.y + screenY * strength);
+    }
+
+    Events.on(engine, 'beforeUpdate', () => {
+        const { smoothing } = config.tilt;
+        engine.gravity.x += (tiltGravity.x - engine.gravity.x) * smoothing;
+        engine.gravity.y += (tiltGravity.y - engine.gravity.y) * smoothing;
+    });
+
+    function isTiltSupported() {
+        return 'DeviceOrientationEvent' in window;
+    }
+
+    // Must be called from a user gesture where the browser asks for permission (iOS Safari).
+    // Resolves to false when tilt is unavailable or denied, gravity then stays static.
+    async function enableTilt() {
+        if (isDestroyed || !isTiltSupported()) return false;
+        if (removeTiltListener) return true;
+
+        if (typeof DeviceOrientationEvent.requestPermission === 'function') {
+            try {
+                if (await DeviceOrientationEvent.requestPermission() !== 'granted') return false;
+            } catch (error) {
+                console.error('initPhysics: device orientation permission request failed', error);
+                return false;
+            }
+            if (isDestroyed || removeTiltListener) return Boolean(removeTiltListener);
+        }
+
+        removeTiltListener = listen(window, 'deviceorientation', handleOrientation);
+        return true;
+    }
+
+    function disableTilt() {
+        if (removeTiltListener) removeTiltListener();
+        removeTiltListener = null;
+        tiltGravity.x = baseGravity.x;
+        tiltGravity.y = baseGravity.y;
+    }
+
+    if (config.tilt.enabled && isTiltSupported()) {
+        if (typeof DeviceOrientationEvent.requestPermission === 'function') {
+            listen(render.canvas, 'click', enableTilt, { once: true });
+        } else {
+            enableTilt();
+        }
+    }
+
+    // Spawn delays run on engine time, so a paused or hidden scene doesn't skip part of the sequence
+    function releasePendingSpawns() {
+        while (pendingSpawns.length && pendingSpawns[0].at <= engine.timing.timestamp) {
+            Composite.add(world, pendingSpawns.shift().body);
+        }
+    }
+
+    Events.on(engine, 'beforeUpdate', releasePendingSpawns);
+
+    // Plays the configured spawn pattern with every sprite
+    function dropSprites() {
+        pendingSpawns.length = 0;
+        bodies.forEach((body, index) => {
+            const plan = spawnPlan(index, bodies.length);
+            fadingBodies.delete(body.id);
+            body.render.opacity = 1;
+            setBodyState(body, 'active');
+            Composite.remove(world, body);
+            Sleeping.set(body, false);
+            Body.setPosition(body, plan.position);
+            Body.setAngle(body, 0);
+            Body.setVelocity(body, plan.velocity);
+            Body.setAngularVelocity(body, 0);
+            pendingSpawns.push({ body, at: engine.timing.timestamp + plan.delay });
+        });
+        pendingSpawns.sort((a, b) => a.at - b.at);
+        releasePendingSpawns();
+    }
+
+    // Reduced motion: the drop is simulated to rest in one go, so the pile appears already settled.
+    // Capped in case something keeps a sprite moving (a held drag).
+    function settlePile() {
+        let steps = 0;
+        do {
+            Engine.update(engine, runner.delta);
+        } while (++steps < PHYSICS_SETTLE_MAX_STEPS && !isSceneSettled);
+    }
+
+    function onMotionChange(reduced) {
+        if (isDestroyed || !reduced) return;
+        tiltGravity.x = baseGravity.x;
+        tiltGravity.y = baseGravity.y;
+        engine.gravity.x = baseGravity.x;
+        engine.gravity.y = baseGravity.y;
+        settlePile();
+    }
+    listeners.push(motionPreference.subscribe(onMotionChange));
+
+    // Advances a paused main-thread scene by `count` fixed steps, for tests and scripted sequences
+    function step(count = 1) {
+        if (isDestroyed || isRunning || physicsWorker) return;
+        for (let i = 0; i < count; i++) {
+            Engine.update(engine, runner.delta);
+        }
+    }
+
+    // Drops every sprite again, like the initial spawn
+    function reset() {
+        if (isDestroyed) return;
+        if (topWall) {
+            Composite.remove(world, topWall);
+            topWall = null;
+        }
+        dropSprites();
+        if (motionPreference.reduced) settlePile();
+    }
+
+    function destroy() {
+        if (isDestroyed) return;
+        isDestroyed = true;
+        updateRunning();
+        detachWorker();
+        if (visibilityObserver) visibilityObserver.disconnect();
+        pointers.clear();
+        hoveredBody = null;
+        if (tooltipElement) tooltipElement.remove();
+        disableTilt();
+        watchPixelRatio();
+        clearTimeout(resizeTimeout);
+        listeners.forEach(remove => remove());
+        listeners.length = 0;
+        World.clear(world, true);
+        Engine.clear(engine);
+        render.canvas.remove();
+        render.canvas = null;
+        render.context = null;
+        bodies.length = 0;
+    }
+
+    // placement.clientX/clientY put the sprite at that viewport point instead of dropping it from the top,
+    // placement.velocity starts it moving
+    async function addSprite(src, metadata = {}, placement = {}) {
+        if (isDestroyed) return null;
+        const img = await loadSpriteImage(src);
+        if (isDestroyed) return null;
+
+        const hasPoint = typeof placement.clientX === 'number' && typeof placement.clientY === 'number';
+        const body = createSpriteBody(img, hasPoint ? pointerPosition(placement) : spawnPosition(0));
+        if (placement.velocity) Body.setVelocity(body, placement.velocity);
+        spriteMetadata.set(body.id, { ...readSpriteMetadata(img), ...metadata });
+        watchBody(body);
+        bodies.push(body);
+        Composite.add(world, body);
+        return body.id;
+    }
+
+    // Where a sprite currently is on the page, in viewport coordinates like pointer events
+    function getSpritePosition(id) {
+        const body = bodies.find(body => body.id === id);
+        if (!body || isDestroyed) return null;
+
+        const rect = render.canvas.getBoundingClientRect();
+        return {
+            clientX: rect.left + body.position.x * ((rect.width || containerWidth) / containerWidth),
+            clientY: rect.top + body.position.y * ((rect.height || containerHeight) / containerHeight),
+            angle: body.angle
+        };
+    }
+
+    function removeSprite(id) {
+        const index = bodies.findIndex(body => body.id === id);
+        if (index === -1) return false;
+
+        if (hoveredBody === bodies[index]) setHoveredBody(null);
+        const pendingIndex = pendingSpawns.findIndex(spawn => spawn.body === bodies[index]);
+        if (pendingIndex !== -1) pendingSpawns.splice(pendingIndex, 1);
+        Composite.remove(world, bodies[index]);
+        spriteMetadata.delete(id);
+        bodyStates.delete(id);
+        fadingBodies.delete(id);
+        bodies.splice(index, 1);
+        return true;
+    }
+
+    if (config.worker.enabled) {
+        const worker = await startPhysicsWorker(config.worker, config.engine);
+        if (worker) attachWorker(worker);
+    }
+
+    Composite.add(world, [...walls, mouseConstraint]);
+    dropSprites();
+    if (config.persist.enabled) restoreSnapshot();
+    if (motionPreference.reduced) settlePile();
+    unsuspend('starting');
+
+    return {
+        pause,
+        resume,
+        reset,
+        relayout,
+        step,
+        destroy,
+        addSprite,
+        removeSprite,
+        getSpritePosition,
+        enableTilt,
+        disableTilt,
+        getSpriteStates,
+        get isRunning() {
+            return isRunning;
+        },
+        get isPaused() {
+            return suspendReasons.has('paused');
+        },
+        get usesWorker() {
+            return physicsWorker !== null;
+        }
+    };
+}
@@ -1,429 +1,3 @@
-//---------------------------------------------------LAPTOP------------------------------------------------------------//
-async function initPhysics() {
-    const imageLoadMap = new WeakMap();
-    
-    const imgElements = Array.from(document.querySelectorAll('.svg-sprites img'));
-    await Promise.all(imgElements.map(img => {
-        if (imageLoadMap.has(img)) return imageLoadMap.get(img);
-        const promise = new Promise((resolve) => {
-            if (img.complete) resolve();
-            img.onload = () => resolve();
-            img.onerror = () => resolve();
-        });
-        imageLoadMap.set(img, promise);
-        return promise;
-    }));
-  
-    const { Engine, Render, Runner, Bodies, Composite, Mouse, MouseConstraint, Body, Vector, World } = Matter;
-  
-    const engine = Engine.create({
-        gravity: { x: 0, y: 0.5 },
-        enableSleeping: true,
-        constraintIterations: 2
-    });
-    
-    const world = engine.world;
-    const container = document.getElementById('canvas-container');
-    
-    const render = Render.create({
-        element: container,
-        engine: engine,
-        options: {
-            width: container.clientWidth,
-            height: container.clientHeight,
-            wireframes: false,
-            background: 'transparent',
-            pixelRatio: Math.min(window.devicePixelRatio, 2),
-            showSleeping: false,
-            showDebug: false
-        }
-    });
-  
-    const wallOptions = {
-        isStatic: true,
-        render: { visible: false },
-        friction: 0,
-        restitution: 0.7,
-        chamfer: { radius: 0 }
-    };
-  
-    const containerWidth = container.clientWidth;
-    const containerHeight = container.clientHeight;
-    const walls = [
-        Bodies.rectangle(containerWidth / 2, containerHeight + 30, containerWidth, 60, wallOptions),
-        Bodies.rectangle(-30, containerHeight / 2, 60, containerHeight, wallOptions),
-        Bodies.rectangle(containerWidth + 30, containerHeight / 2, 60, containerHeight, wallOptions)
-    ];
-  
-    const bodyOptions = {
-        restitution: 0.7,
-        friction: 0.01,
-        frictionAir: 0.005,
-        density: 0.002,
-        slop: 0,
-        chamfer: { radius: 2 }
-    };
-  
-    const bodies = imgElements.map((img, index) => {
-        const width = img.naturalWidth || img.width;
-        const height = img.naturalHeight || img.height;
-        
-        return Bodies.rectangle(
-            50 + Math.random() * (containerWidth - 100),
-            -100 - (index * 100),
-            width,
-            height,
-            {
-                ...bodyOptions,
-                render: {
-                    sprite: {
-                        texture: img.src,
-                        xScale: 1,
-                        yScale: 1
-                    }
-                }
-            }
-        );
-    });
-  
-    const mouse = Mouse.create(render.canvas);
-    const mouseConstraint = MouseConstraint.create(engine, {
-        mouse: mouse,
-        constraint: {
-            stiffness: 0.1,  // Increased stiffness for better control
-            damping: 0.1,    // Added damping for smoother movement
-            render: {
-                visible: false,
-                lineWidth: 1,
-                strokeStyle: 'rgba(255,255,255,0.2)'
-            }
-        }
-    });
-  
-    // Track mouse state
-    let isMouseInContainer = false;
-    let isDragging = false;
-  
-    // Mouse enter handler
-    container.addEventListener('mouseenter', () => {
-        isMouseInContainer = true;
-    });
-  
-    container.addEventListener('mouseleave', () => {
-        isMouseInContainer = false;
-    });
-  
-    // Handle mouse events for dragging
-    render.canvas.addEventListener('mousedown', () => {
-        isDragging = true;
-    });
-  
-    render.canvas.addEventListener('mouseup', () => {
-        isDragging = false;
-    });
-  
-    let lastTime = 0;
-    let lastMousePos = { x: 0, y: 0 };
-    
-    render.canvas.addEventListener('mousemove', (event) => {
-        const currentTime = performance.now();
-        if (currentTime - lastTime < 16) return;
-        
-        const mousePosition = {
-            x: event.offsetX,
-            y: event.offsetY
-        };
-  
-        const mouseVelocity = {
-            x: (mousePosition.x - lastMousePos.x) * 0.1,
-            y: (mousePosition.y - lastMousePos.y) * 0.1
-        };
-  
-        const speed = Math.sqrt(mouseVelocity.x * mouseVelocity.x + mouseVelocity.y * mouseVelocity.y);
-        
-        if (isMouseInContainer && !isDragging) {
-            bodies.forEach(body => {
-                const distance = Vector.magnitude(Vector.sub(body.position, mousePosition));
-                if (distance < 100) {
-                    const force = Vector.mult(
-                        Vector.normalise(Vector.sub(body.position, mousePosition)),
-                        0.05 * (1 - distance/100) * Math.min(3, speed)
-                    );
-                    Body.applyForce(body, body.position, force);
-                }
-            });
-        }
-  
-        lastMousePos = mousePosition;
-        lastTime = currentTime;
-    }, { passive: true });
-  
-    // Handle window resize
-    let resizeTimeout;
-    window.addEventListener('resize', () => {
-        if (resizeTimeout) clearTimeout(resizeTimeout);
-        
-        resizeTimeout = setTimeout(() => {
-            render.canvas.width = container.clientWidth;
-            render.canvas.height = container.clientHeight;
-            
-            const newWidth = container.clientWidth;
-            const newHeight = container.clientHeight;
-            
-            Body.setPosition(walls[0], { 
-                x: newWidth / 2,
-                y: newHeight + 30
-            });
-            Body.setPosition(walls[2], {
-                x: newWidth + 30,
-                y: newHeight / 2
-            });
-        }, 250);
-    });
-  
-    const runner = Runner.create({
-        isFixed: true,
-        delta: 1000/60
-    });
-    Runner.run(runner, engine);
-    Render.run(render);
-  
-    let resetTimeout;
-    
-    function checkReset() {
-        let allBodiesSettled = true;
-        
-        bodies.forEach(body => {
-            if (body.position.y > containerHeight + 100) {
-                Body.setPosition(body, {
-                    x: 50 + Math.random() * (containerWidth - 100),
-                    y: -100
-                });
-                Body.setVelocity(body, { x: 0, y: 0 });
-                Body.setAngularVelocity(body, 0);
-                allBodiesSettled = false;
-            }
-            
-            if (Math.abs(body.velocity.y) > 0.1 || Math.abs(body.velocity.x) > 0.1) {
-                allBodiesSettled = false;
-            }
-        });
-  
-        resetTimeout = requestAnimationFrame(checkReset);
-    }
-    resetTimeout = requestAnimationFrame(checkReset);
-  
-    Composite.add(world, [...walls, ...bodies, mouseConstraint]);
-  
-    return () => {
-        Runner.stop(runner);
-        Render.stop(render);
-        cancelAnimationFrame(resetTimeout);
-        World.clear(world, true);
-        Engine.clear(engine);
-        render.canvas.remove();
-        render.canvas = null;
-        render.context = null;
-    };
-  }
-//---------------------------------------------------TEXT-ANIMATION------------------------------------------------------------//
-const initTextAnimation = (() => {
-    const phrases = [
-        "Транскрибация аудио в текст",
-        "Перевод аудио в текст",
-        "Конвертация аудио в текст",
-        "Преобразование аудио в текст",
-        "Транскрипция аудио в текст",
-        "Расшифровка аудио в текст"
-    ];
-
-    class SpringElement {
-        constructor(element) {
-            this.element = element;
-            this.x = 0;
-            this.y = 0;
-            this.velX = 0;
-            this.velY = 0;
-            this.springConstant = 0.2;
-            this.friction = 0.9;
-        }
-
-        update(mouseX, mouseY, isHovered) {
-            if (isHovered) {
-                const rect = this.element.getBoundingClientRect();
-                const centerX = rect.left + rect.width / 2;
-                const centerY = rect.top + rect.height / 2;
-                
-                const dx = mouseX - centerX;
-                const dy = mouseY - centerY;
-                const distance = Math.sqrt(dx * dx + dy * dy);
-                
-                if (distance < 300 && distance > 5) {
-                    const angle = Math.atan2(dy, dx);
-                    const force = (50 - distance) / 8;
-                    this.x = Math.cos(angle) * force;
-                    this.y = Math.sin(angle) * force;
-                }
-            } else {
-                const forceX = -this.springConstant * this.x;
-                const forceY = -this.springConstant * this.y;
-                
-                this.velX = (this.velX + forceX) * this.friction;
-                this.velY = (this.velY + forceY) * this.friction;
-                
-                this.x += this.velX;
-                this.y += this.velY;
-            }
-
-            this.element.style.transform = `translate(${this.x}px, ${this.y}px)`;
-        }
-    }
-
-    let phraseIndex = 0;
-    let charIndex = 0;
-    let isDeleting = false;
-    let springElements = [];
-    let isHovered = false;
-    let mouseX = 0;
-    let mouseY = 0;
-
-    function createLetterSpan(char) {
-        const span = document.createElement('span');
-        span.textContent = char;
-        
-        if (char === ' ') {
-            span.style.display = 'inline';
-            span.style.marginRight = '0.15em'; // Adds space between words
-        } else {
-            span.style.display = 'inline-block';
-            span.style.position = 'relative';
-        }
-        
-        return span;
-    }
-
-    function wrapLettersInSpans(text) {
-        return [...text].map(char => {
-            const span = createLetterSpan(char);
-            return span;
-        });
-    }
-
-    function updateSpringAnimation() {
-        springElements.forEach(element => {
-            element.update(mouseX, mouseY, isHovered);
-        });
-        requestAnimationFrame(updateSpringAnimation);
-    }
-
-    return () => {
-        const typingBlock = document.querySelector('.typing-block');
-        const typingText = document.getElementById('typing-text');
-        const cursorElement = document.getElementById('cursor');
-
-        if (!typingBlock || !typingText || !cursorElement) return;
-
-        function updateSpringElements() {
-            springElements = [];
-            typingText.querySelectorAll('span').forEach(span => {
-                springElements.push(new SpringElement(span));
-            });
-        }
-
-        function typePhrase() {
-            const currentPhrase = phrases[phraseIndex];
-            const mainWord = currentPhrase.split(" аудио ")[0];
-            const suffix = " аудио в текст";
-
-            if (!isDeleting && charIndex <= currentPhrase.length) {
-                if (charIndex <= mainWord.length) {
-                    typingText.innerHTML = '';
-                    const letterSpans = wrapLettersInSpans(mainWord.substring(0, charIndex));
-                    letterSpans.forEach(span => typingText.appendChild(span));
-                } else {
-                    const suffixProgress = charIndex - mainWord.length;
-                    typingText.innerHTML = '';
-                    
-                    const mainLetterSpans = wrapLettersInSpans(mainWord);
-                    mainLetterSpans.forEach(span => typingText.appendChild(span));
-                    
-                    const suffixSpan = document.createElement('span');
-                    suffixSpan.className = 'suffix';
-                    const suffixLetterSpans = wrapLettersInSpans(suffix.substring(0, suffixProgress));
-                    suffixLetterSpans.forEach(span => suffixSpan.appendChild(span));
-                    typingText.appendChild(suffixSpan);
-                }
-                
-                updateSpringElements();
-                charIndex++;
-
-                if (charIndex > currentPhrase.length) {
-                    setTimeout(() => {
-                        isDeleting = true;
-                        typePhrase();
-                    }, 2000);
-                    return;
-                }
-            } else if (isDeleting) {
-                if (charIndex <= mainWord.length) {
-                    typingText.innerHTML = '';
-                    const letterSpans = wrapLettersInSpans(mainWord.substring(0, charIndex));
-                    letterSpans.forEach(span => typingText.appendChild(span));
-                } else {
-                    const suffixProgress = charIndex - mainWord.length;
-                    typingText.innerHTML = '';
-                    
-                    const mainLetterSpans = wrapLettersInSpans(mainWord);
-                    mainLetterSpans.forEach(span => typingText.appendChild(span));
-                    
-                    const suffixSpan = document.createElement('span');
-                    suffixSpan.className = 'suffix';
-                    const suffixLetterSpans = wrapLettersInSpans(suffix.substring(0, suffixProgress));
-                    suffixLetterSpans.forEach(span => suffixSpan.appendChild(span));
-                    typingText.appendChild(suffixSpan);
-                }
-                
-                updateSpringElements();
-                charIndex--;
-
-                if (charIndex === -1) {
-                    isDeleting = false;
-                    phraseIndex = (phraseIndex + 1) % phrases.length;
-                    setTimeout(() => typePhrase(), 500);
-                    return;
-                }
-            }
-
-            const delay = isDeleting ? 50 : 100;
-            setTimeout(() => typePhrase(), delay);
-        }
-
-        let cursorVisible = true;
-        function blinkCursor() {
-            cursorVisible = !cursorVisible;
-            cursorElement.style.visibility = cursorVisible ? 'visible' : 'hidden';
-        }
-        setInterval(blinkCursor, 530);
-
-        typingBlock.addEventListener('mousemove', (e) => {
-            mouseX = e.clientX;
-            mouseY = e.clientY;
-        });
-
-        typingBlock.addEventListener('mouseenter', () => {
-            isHovered = true;
-        });
-
-        typingBlock.addEventListener('mouseleave', () => {
-            isHovered = false;
-        });
-
-        requestAnimationFrame(typePhrase);
-        requestAnimationFrame(updateSpringAnimation);
-    };
-    
-})();
-
 //---------------------------------------------------BG-MOVE------------------------------------------------------------//
 
 const bgMove = () => {
@@ -446,7 +20,15 @@ const bgMove = () => {
       return start + (end - start) * factor;
   }
 
+  let parallaxFrame = null;
+
   function updateParallax() {
+    // Reduced motion: the background stays where the stylesheet puts it and the loop sleeps
+    if (motionPreference.reduced) {
+        parallaxFrame = null;
+        document.body.style.backgroundPosition = '';
+        return;
+    }
     if (!isMouseOverCanvas) {
         currentBackgroundX = lerp(currentBackgroundX, targetBackgroundX, 0.1);
         currentBackgroundY = lerp(currentBackgroundY, targetBackgroundY, 0.1);
@@ -455,7 +37,7 @@ const bgMove = () => {
         document.body.style.backgroundPosition = 
             `calc(50% + ${currentBackgroundX}px) calc(${-scrollOffset}px + ${currentBackgroundY}px)`;
     }
-    requestAnimationFrame(updateParallax);
+    parallaxFrame = requestAnimationFrame(updateParallax);
 }
 
 function handleMouseMove(e) {
@@ -489,6 +71,9 @@ function handleMouseMove(e) {
 
   document.addEventListener('mousemove', handleMouseMove);
   document.addEventListener('mouseleave', handleMouseLeave);
+  motionPreference.subscribe(reduced => {
+      if (!reduced && parallaxFrame === null) updateParallax();
+  });
 
   updateParallax();
 }
@@ -551,200 +136,98 @@ function handleMouseMove(e) {
   
 //---------------------------------------------------INIT-ANIMATIONS------------------------------------------------------------//
 const initAnimations = () => {
+    if (!window.gsap || !window.ScrollTrigger) {
+        console.error('initAnimations: GSAP and ScrollTrigger must be loaded before script.js');
+        return;
+    }
+    gsap.registerPlugin(ScrollTrigger);
+
     const container = document.querySelector('.container');
-    const laptop = document.querySelector('.laptop');
-    const canvasContainer = document.querySelector('#canvas-container');
-    const header = document.querySelector('.header');
-    const typingBlock = document.querySelector('.typing-block');
-    const typingBlock2 = document.querySelector('.typing-block-2');
-    const registrationBlue = document.querySelector('.registration-blue');
-    const feed = document.querySelector('.feed');
-    const tryFreeButton = document.querySelector('.try-free');
+
+    // Each element keeps up with the page (`follow` px down per px of scroll) until the end of its
+    // range. Between start and end (px of scroll) it shrinks and drifts `x` px sideways, then it is
+    // left behind as a star `y` px further down.
+    const choreography = [
+        { element: document.querySelector('.header'), start: 0, end: 1000, x: 550, y: 350 },
+        { element: document.querySelector('.typing-block-2'), start: 200, end: 1200, x: 400, y: 50 },
+        { element: document.querySelector('.registration-blue'), start: 300, end: 1400, x: -400, y: 50 },
+        { element: container, start: 1100, end: 1400, x: 200, y: 550 },
+        { element: document.querySelector('.feed'), start: 1800, end: 3000, x: 400, y: 600, follow: 0.75 }
+    ];
+    const scrollFollow = 1.05;
+    // Share of the range after which the shrinking element fades out, the star replaces it at the end
+    const fadeFrom = 0.66;
 
     // Reset scroll position on page load
     window.scrollTo(0, 0);
 
-    // Initial animation for container
-    container.offsetHeight;
-    container.style.transition = 'transform 1.4s cubic-bezier(0.34, 1.56, 0.64, 1), opacity 1.4s ease-out';
-    container.style.transform = 'scale(1)';
-    container.style.opacity = '1';
-
-    const endPositions = {
-        header: {x: 550, y: 350},
-        typingBlock: {x: 400, y: 50},
-        registration: {x: -400, y: 50},
-        container: {x: 200, y: 550},
-        feed: {x: 400, y: 600}
-    };
-
-    const scrollRanges = {
-        header: { start: 0, end: 1000 },
-        typingBlock: { start: 200, end: 1200 },
-        registration: { start: 300, end: 1400 },
-        container: { start: 1100, end: 1400 },
-        feed: { start: 1800, end: 3000 }
-    };
+    // The timelines write transform and opacity on every scroll, CSS transitions would only lag behind
+    choreography.forEach(({ element }) => {
+        element.style.transition = 'none';
+    });
 
-    const baseSpeed = 0.15;
-    const scrollSpeed = baseSpeed * 7;
+    // Initial animation for container, only the fade with reduced motion
+    if (motionPreference.reduced) {
+        gsap.set(container, { scale: 1 });
+        gsap.to(container, { opacity: 1, duration: 1.4, ease: 'power1.out' });
+    } else {
+        gsap.to(container, { scale: 1, opacity: 1, duration: 1.4, ease: 'back.out(1.7)' });
+    }
 
-    const calculateProgress = (currentScroll, start, end) => {
-        if (currentScroll < start) return 0;
-        if (currentScroll > end) return 1;
-        return (currentScroll - start) / (end - start);
-    };
+    // Scrubbed by the scroll position, so any way of scrolling works and scrolling back reverses it.
+    // Time on these timelines is px of scroll, positions and durations read like the ranges above.
+    function buildTimeline({ element, start, end, x, y, follow = scrollFollow }) {
+        const length = end - start;
 
-    const initializeTransitions = (element) => {
-        element.style.transition = `
-            transform 0.3s ease-out,
-            opacity 0.3s ease-out,
-            width 0.3s ease-out,
-            height 0.3s ease-out,
-            border-radius 0.3s ease-out,
-            background-color 0.3s ease-in 0.1s,
-            box-shadow 0.3s ease-in 0.1s
-        `;
-    
-        Array.from(element.children).forEach(child => {
-            child.style.transition = 'opacity 0.3s ease-out';
-        });
-    };
-    
-    const updateElement = (element, scrollPosition, range, endPos) => {
-        if (!element.style.transition) {
-            initializeTransitions(element);
+        // Reduced motion: no collapse into a star, the element keeps its place and fades out instead
+        if (motionPreference.reduced) {
+            return gsap.timeline({ defaults: { ease: 'none' }, scrollTrigger: { start: 0, end, scrub: true } })
+                .to(element, { y: end * follow, duration: end }, 0)
+                .to(element, { opacity: 0, duration: length }, start);
         }
-    
-        const progress = calculateProgress(scrollPosition, range.start, range.end);
-        const baseScroll = scrollPosition * scrollSpeed;
-        const TRANSITION_POINT = 0.9672727272727273;
-    if (element.classList.contains('container')) {
-        console.log(progress);
-    }
-        if (progress < 0.999999 && progress > 0.66 ) {
-            // First set opacity to 0
-            element.style.opacity = '0';
-            
-            setTimeout(() => {
-                // Apply normal styles after fade out
-                element.style.backgroundColor = '';
-                element.style.boxShadow = 'none';
-                const scale = Math.max(0.01, 1 - progress);
-                const xOffset = endPos.x * progress;
-                const yOffset = baseScroll;
-    
-                if (element.classList.contains('registration-blue')) {
-                    element.textContent = 'При регистрации дарим 30 минут!';
-                }
-                element.style.width = '';
-                element.style.height = '';
-                element.style.borderRadius = '0';
-                Array.from(element.children).forEach(child => {
-                    child.style.opacity = '1';
-                });
-                element.style.transform = `translate(${xOffset}px, ${yOffset}px) scale(${scale})`;
-                
-                // Fade back in
-                setTimeout(() => {
-                    element.style.opacity = '1';
-                }, 300);
-            }, 500);
-        } else if (progress === 0) {
-            element.style.transform = `translateY(${baseScroll}px)`;
-            if (element.classList.contains('feed')) {
-                element.style.transform = `translateY(${scrollPosition * (scrollSpeed - 0.3)}px)`;
-            }
-            element.style.opacity = '1';
-            element.style.width = '';
-            element.style.height = '';
-            element.style.borderRadius = '0';
-            element.style.backgroundColor = '';
-            element.style.boxShadow = 'none';
-            
-            Array.from(element.children).forEach(child => {
-                child.style.opacity = '1';
-            });
-    
-            if (element.classList.contains('registration-blue')) {
-                const textSpan = element.querySelector('span');
-                if (textSpan) {
-                    textSpan.textContent = 'Registration';
-                }
-            }
-        } else if (progress > 0.999) {
-            // Star state
-            element.style.opacity = '0';
-            
-            const xOffset = endPos.x;
-            const yOffset = (range.start + (range.end - range.start)) * scrollSpeed + (endPos.y);
-            
-            setTimeout(() => {
-                element.style.transform = `translate(${xOffset}px, ${yOffset}px)`;
-                element.style.backgroundColor = 'rgba(255, 255, 255, 0.95)';
-                element.style.boxShadow = `
-                    0 0 15px 2px rgba(255, 255, 255, 0.95),
-                    0 0 30px 4px rgba(255, 255, 255, 0.7),
-                    0 0 45px 6px rgba(255, 255, 255, 0.4)
-                `;
-                element.style.width = '4px';
-                element.style.height = '4px';
-                element.style.borderRadius = '50%';
-                
-                if (element.classList.contains('registration-blue')) {
-                    element.textContent = '';
-                }
-                
-                Array.from(element.children).forEach(child => {
-                    child.style.opacity = '0';
-                });
-                
-                setTimeout(() => {
-                    element.style.opacity = '1';
-                }, 300);
-            }, 500);
-        } else {
-            element.style.opacity = '0';
-            element.style.backgroundColor = '';
-            element.style.boxShadow = 'none';
-            const scale = Math.max(0.01, 1 - progress);
-            const xOffset = endPos.x * progress;
-            const yOffset = baseScroll;
-    
-            if (element.classList.contains('registration-blue')) {
-                element.textContent = 'При регистрации дарим 30 минут!';
-            }
-            element.style.width = '';
-            element.style.height = '';
-            element.style.borderRadius = '0';
-            Array.from(element.children).forEach(child => {
-                child.style.opacity = '1';
-            });
-            element.style.transform = `translate(${xOffset}px, ${yOffset}px) scale(${scale})`;
-            element.style.opacity = '1';
-        }
-    };
-
-    const updateParallax = (scrollPosition) => {
-        updateElement(header, scrollPosition, scrollRanges.header, endPositions.header);
-        updateElement(typingBlock2, scrollPosition, scrollRanges.typingBlock, endPositions.typingBlock);
-        updateElement(registrationBlue, scrollPosition, scrollRanges.registration, endPositions.registration);
-        updateElement(container, scrollPosition, scrollRanges.container, endPositions.container);
-        updateElement(feed, scrollPosition, scrollRanges.feed, endPositions.feed);
-    };
 
+        return gsap.timeline({
+            defaults: { ease: 'none' },
+            scrollTrigger: {
+                start: 0,
+                end,
+                scrub: true,
+                onLeave: () => element.classList.add('is-star'),
+                onEnterBack: () => element.classList.remove('is-star')
+            }
+        })
+            .to(element, { y: end * follow, duration: end }, 0)
+            .to(element, { x, scale: 0.01, duration: length }, start)
+            .to(element, { opacity: 0, duration: length * (1 - fadeFrom) }, start + length * fadeFrom)
+            .set(element, { y: end * follow + y, scale: 1, opacity: 1 }, end);
+    }
 
-    window.addEventListener('wheel', (event) => {
+    let timelines = choreography.map(buildTimeline);
 
-            updateParallax(window.scrollY);
+    // A switch in motion preference drops the timelines and builds the other variant from the
+    // untouched styles, the container stays as the intro left it
+    motionPreference.subscribe(() => {
+        timelines.forEach(timeline => {
+            timeline.scrollTrigger.kill();
+            timeline.kill();
         });
-
-}
+        choreography.forEach(({ element }) => {
+            gsap.set(element, { clearProps: 'transform,opacity' });
+            element.classList.remove('is-star');
+        });
+        gsap.set(container, { scale: 1, opacity: 1 });
+        timelines = choreography.map(buildTimeline);
+    });
+};
 //---------------------------------------------------INIT------------------------------------------------------------//
 document.addEventListener('DOMContentLoaded', () => {
     initAnimations();
     bgMove();
-    initPhysics();
+    // Other page scripts reach the falling-icons scene through this promise
+    window.laptopPhysics = initPhysics({
+        persist: { enabled: true }
+    });
     initTextAnimation();
+    attachSpringHover('[data-spring]');
 });
     
\ No newline at end of file
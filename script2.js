@@ -1,411 +1,380 @@
-//---------------------------------------------------LAPTOP------------------------------------------------------------//
-async function initPhysics() {
-    const imageLoadMap = new WeakMap();
-    
-    const imgElements = Array.from(document.querySelectorAll('.svg-sprites img'));
-    await Promise.all(imgElements.map(img => {
-        if (imageLoadMap.has(img)) return imageLoadMap.get(img);
-        const promise = new Promise((resolve) => {
-            if (img.complete) resolve();
-            img.onload = () => resolve();
-            img.onerror = () => resolve();
-        });
-        imageLoadMap.set(img, promise);
-        return promise;
-    }));
-
-    const { Engine, Render, Runner, Bodies, Composite, Mouse, MouseConstraint, Body, Vector } = Matter;
-
-    const engine = Engine.create({
-        gravity: { x: 0, y: 0.5 },
-        enableSleeping: true,
-        constraintIterations: 2
-    });
-    
-    const world = engine.world;
-    const container = document.getElementById('canvas-container');
-    
-    const render = Render.create({
-        element: container,
-        engine: engine,
-        options: {
-            width: container.clientWidth,
-            height: container.clientHeight,
-            wireframes: false,
-            background: 'transparent',
-            pixelRatio: Math.min(window.devicePixelRatio, 2),
-            showSleeping: false,
-            showDebug: false
-        }
-    });
-
-    const wallOptions = {
-        isStatic: true,
-        render: { visible: false },
-        friction: 0,
-        restitution: 0.7,
-        chamfer: { radius: 0 }
-    };
-
-    const containerWidth = container.clientWidth;
-    const containerHeight = container.clientHeight;
-    const walls = [
-        Bodies.rectangle(containerWidth / 2, containerHeight + 30, containerWidth, 60, wallOptions),
-        Bodies.rectangle(-30, containerHeight / 2, 60, containerHeight, wallOptions),
-        Bodies.rectangle(containerWidth + 30, containerHeight / 2, 60, containerHeight, wallOptions)
-    ];
-
-    const bodyOptions = {
-        restitution: 0.7,
-        friction: 0.01,
-        frictionAir: 0.005,
-        density: 0.002,
-        slop: 0,
-        chamfer: { radius: 2 }
-    };
-
-    const bodies = imgElements.map((img, index) => {
-        const width = img.naturalWidth || img.width;
-        const height = img.naturalHeight || img.height;
-        
-        return Bodies.rectangle(
-            50 + Math.random() * (containerWidth - 100),
-            -100 - (index * 100),
-            width,
-            height,
-            {
-                ...bodyOptions,
-                render: {
-                    sprite: {
-                        texture: img.src,
-                        xScale: 1,
-                        yScale: 1
-                    }
-                }
-            }
-        );
-    });
+//---------------------------------------------------UPGRADE------------------------------------------------------------//
 
-    const mouse = Mouse.create(render.canvas);
-    const mouseConstraint = MouseConstraint.create(engine, {
-        mouse: mouse,
-        constraint: {
-            stiffness: 0.1,
-            render: { visible: false }
+// The upgrade sequence, one step per before/after icon pair. Steps play in order and loop; a step can
+// override any of UPGRADE_TIMING, UPGRADE_PATHS (`paths`) or UPGRADE_HANDOFF_PATHS (`handoffPaths`) for
+// itself (e.g. { ..., beforeCount: 2, stagger: 400 }).
+const UPGRADE_MANIFEST = [
+    { before: './icons2/upgrade-icons/icon-before-1.svg', after: './icons2/upgrade-icons/icon-after-1.svg' },
+    { before: './icons2/upgrade-icons/icon-before-2.svg', after: './icons2/upgrade-icons/icon-after-2.svg' },
+    { before: './icons2/upgrade-icons/icon-before-3.svg', after: './icons2/upgrade-icons/icon-after-3.svg' },
+    { before: './icons2/upgrade-icons/icon-before-4.svg', after: './icons2/upgrade-icons/icon-after-4.svg' }
+];
+
+// All times in ms
+const UPGRADE_TIMING = {
+    startDelay: 1000,   // before the first step
+    beforeCount: 3,     // icons flying into the laptop
+    afterCount: 3,      // icons flying out of it
+    stagger: 640,       // between two icons of the same phase
+    duration: 1600,     // flight of a single icon
+    gap: 200,           // between the 'before' and the 'after' phase
+    pause: 500          // before the next step
+};
+
+// Flight paths as keyframes. x and y go from 0 to 1 across the container and place the icon's centre;
+// offset, easing and the rest work as in element.animate(). 'before' icons drop into the screen,
+// 'after' icons come out of it.
+const UPGRADE_PATHS = {
+    before: [
+        { x: 0.05, y: 0.1, scale: 1, opacity: 0 },
+        { x: 0.15, y: 0.15, scale: 1, opacity: 1, offset: 0.2, easing: 'ease-in' },
+        { x: 0.5, y: 0.4, scale: 0.3, opacity: 0 }
+    ],
+    after: [
+        { x: 0.5, y: 0.4, scale: 0.3, opacity: 0, easing: 'ease-out' },
+        { x: 0.85, y: 0.15, scale: 1, opacity: 1, offset: 0.8 },
+        { x: 0.95, y: 0.1, scale: 1, opacity: 0 }
+    ]
+};
+
+// Paths while a physics scene is attached. 'before' icons stop inside the top of the screen and drop
+// into the pile as bodies; 'after' icons start from the body they replace, their first keyframe is
+// only used when the pile has nothing to give.
+const UPGRADE_HANDOFF_PATHS = {
+    before: [
+        { x: 0.05, y: 0.1, scale: 1, opacity: 0 },
+        { x: 0.15, y: 0.05, scale: 1, opacity: 1, offset: 0.25, easing: 'ease-in' },
+        { x: 0.4, y: 0.1, scale: 1, opacity: 1 }
+    ],
+    after: [
+        { x: 0.5, y: 0.4, scale: 0.3, opacity: 0, easing: 'ease-out' },
+        { x: 0.85, y: 0.15, scale: 1, opacity: 1, offset: 0.7 },
+        { x: 0.95, y: 0.1, scale: 1, opacity: 0 }
+    ]
+};
+
+// Reduced motion: nothing flies, one 'before' icon crossfades into one 'after' icon on the screen. Each
+// fades in and out over this share of its duration, and the 'after' icon starts as the 'before' one fades out.
+const UPGRADE_STILL_FADE = 0.3;
+const UPGRADE_STILL_PATHS = {
+    before: [
+        { x: 0.5, y: 0.4, scale: 0.6, opacity: 0 },
+        { x: 0.5, y: 0.4, scale: 0.6, opacity: 1, offset: UPGRADE_STILL_FADE },
+        { x: 0.5, y: 0.4, scale: 0.6, opacity: 1, offset: 1 - UPGRADE_STILL_FADE },
+        { x: 0.5, y: 0.4, scale: 0.6, opacity: 0 }
+    ],
+    after: [
+        { x: 0.5, y: 0.4, scale: 0.6, opacity: 0 },
+        { x: 0.5, y: 0.4, scale: 0.6, opacity: 1, offset: UPGRADE_STILL_FADE },
+        { x: 0.5, y: 0.4, scale: 0.6, opacity: 1, offset: 1 - UPGRADE_STILL_FADE },
+        { x: 0.5, y: 0.4, scale: 0.6, opacity: 0 }
+    ]
+};
+
+// Most bodies the sequence keeps in the physics pile, the oldest are removed first
+const UPGRADE_MAX_BODIES = 12;
+
+// Scroll position (in % of the page) past which the laptop is hidden and the sequence is suspended
+const UPGRADE_HIDE_AFTER = 20;
+
+// There is only ever one upgrade sequence, later calls get the running controller back
+let upgradeAnimation = null;
+
+// Resolves after ms, rejects with the abort reason as soon as the signal fires
+function waitFor(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal.aborted) {
+            reject(signal.reason);
+            return;
         }
-    });
-
-    Composite.add(world, [...walls, ...bodies, mouseConstraint]);
-
-    let lastTime = 0;
-    let lastMousePos = { x: 0, y: 0 };
-    
-    render.canvas.addEventListener('mousemove', (event) => {
-        const currentTime = performance.now();
-        if (currentTime - lastTime < 16) return;
-        
-        const mousePosition = {
-            x: event.offsetX,
-            y: event.offsetY
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(signal.reason);
         };
-
-        const mouseVelocity = {
-            x: (mousePosition.x - lastMousePos.x) * 0.1,
-            y: (mousePosition.y - lastMousePos.y) * 0.1
-        };
-
-        const speed = Math.sqrt(mouseVelocity.x * mouseVelocity.x + mouseVelocity.y * mouseVelocity.y);
-        
-        bodies.forEach(body => {
-            const distance = Vector.magnitude(Vector.sub(body.position, mousePosition));
-            if (distance < 100) {
-                const force = Vector.mult(
-                    Vector.normalise(Vector.sub(body.position, mousePosition)),
-                    0.05 * (1 - distance/100) * Math.min(3, speed)
-                );
-                Body.applyForce(body, body.position, force);
-            }
-        });
-
-        lastMousePos = mousePosition;
-        lastTime = currentTime;
-    }, { passive: true });
-
-    let resizeTimeout;
-    window.addEventListener('resize', () => {
-        if (resizeTimeout) clearTimeout(resizeTimeout);
-        
-        resizeTimeout = setTimeout(() => {
-            render.canvas.width = container.clientWidth;
-            render.canvas.height = container.clientHeight;
-            
-            const newWidth = container.clientWidth;
-            const newHeight = container.clientHeight;
-            
-            Body.setPosition(walls[0], { 
-                x: newWidth / 2,
-                y: newHeight + 30
-            });
-            Body.setPosition(walls[2], {
-                x: newWidth + 30,
-                y: newHeight / 2
-            });
-        }, 250);
-    });
-
-    const runner = Runner.create({
-        isFixed: true,
-        delta: 1000/60
+        const timer = setTimeout(() => {
+            signal.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        signal.addEventListener('abort', onAbort, { once: true });
     });
-    Runner.run(runner, engine);
-    Render.run(render);
-
-    let resetTimeout;
-    let topWallAdded = false;
-    
-    function checkReset() {
-        let allBodiesSettled = true;
-        
-        bodies.forEach(body => {
-            if (body.position.y > containerHeight + 100) {
-                Body.setPosition(body, {
-                    x: 50 + Math.random() * (containerWidth - 100),
-                    y: -100
-                });
-                Body.setVelocity(body, { x: 0, y: 0 });
-                Body.setAngularVelocity(body, 0);
-                allBodiesSettled = false;
-            }
-            
-            // Check if body is still moving significantly
-            if (Math.abs(body.velocity.y) > 0.1 || Math.abs(body.velocity.x) > 0.1) {
-                allBodiesSettled = false;
-            }
-        });
-
-        // Add top wall after bodies have settled
-        if (allBodiesSettled && !topWallAdded) {
-            const topWall = Bodies.rectangle(containerWidth / 2, -30, containerWidth, 60, wallOptions);
-            Composite.add(world, topWall);
-            topWallAdded = true;
-        }
-
-        resetTimeout = requestAnimationFrame(checkReset);
-    }
-    resetTimeout = requestAnimationFrame(checkReset);
-
-    return () => {
-        Runner.stop(runner);
-        Render.stop(render);
-        cancelAnimationFrame(resetTimeout);
-        World.clear(world, true);
-        Engine.clear(engine);
-        render.canvas.remove();
-        render.canvas = null;
-        render.context = null;
-    };
 }
-//---------------------------------------------------UPGRADE------------------------------------------------------------//
 
-let isContainerVisible = true; 
+function initUpgradeAnimation(manifest = UPGRADE_MANIFEST, options = {}) {
+    if (upgradeAnimation) return upgradeAnimation;
 
-function initUpgradeAnimation() {
     const container = document.querySelector('.container');
-    const numIcons = 3;
-    let currentIcon = 0;
-    let isAnimating = false;
-    const iconDelay = 400;
-    const animationDuration = 1600;
-    
-    const activeIcons = new Set();
+    const { paths = {}, handoffPaths = {}, physics = null, maxBodies = UPGRADE_MAX_BODIES, ...timing } = options;
+    const defaults = { ...UPGRADE_TIMING, ...timing };
+    const steps = manifest.filter((step, index) => {
+        if (step && step.before && step.after) return true;
+        console.error(`initUpgradeAnimation: step ${index} needs both a 'before' and an 'after' icon`);
+        return false;
+    }).map(step => ({
+        ...defaults,
+        ...step,
+        paths: { ...UPGRADE_PATHS, ...paths, ...step.paths },
+        handoffPaths: { ...UPGRADE_HANDOFF_PATHS, ...handoffPaths, ...step.handoffPaths }
+    }));
+    if (!container || steps.length === 0) return null;
+
+    let currentStep = 0;
+    // 1 plays the steps forwards, -1 plays them backwards with every flight reversed
+    let direction = 1;
+    // The sequence plays only while nothing holds it back: 'paused' (pause/stop) or 'scrolled'
+    const suspendReasons = new Set();
+    // Aborting it cancels every pending wait and removes the icons in flight
+    let abortController = null;
+    // Animations of the step on screen. They all share one timeline, so seeking one seeks the step
+    let flights = [];
+
+    // The physics scene (options.physics, a controller or the promise initPhysics returns) icons are
+    // handed to. Until it is there the sequence plays on its own.
+    let scene = null;
+    if (physics) {
+        Promise.resolve(physics).then((controller) => {
+            scene = controller;
+        });
+    }
+    // Ids of the bodies the sequence put in the pile, oldest first
+    const handedOff = [];
+    let handoffFrame = null;
 
-    function createIcon(type, number) {
+    function createIcon(type, step) {
         const icon = document.createElement('img');
-        icon.src = `./icons2/upgrade-icons/icon-${type}-${number}.svg`;
+        icon.src = step[type];
         icon.classList.add('upgrade-icon', `icon-${type}`);
-        icon.alt = `Icon ${type} ${number}`;
+        icon.alt = `Icon ${type} ${currentStep + 1}`;
         return icon;
     }
 
-    function cleanupIcon(icon) {
-        if (activeIcons.has(icon)) {
-            icon.remove();
-            activeIcons.delete(icon);
-        }
+    function toKeyframes(path) {
+        const width = container.clientWidth;
+        const height = container.clientHeight;
+        return path.map(({ x = 0, y = 0, scale = 1, rotate = 0, ...rest }) => ({
+            ...rest,
+            transform: `translate(${x * width}px, ${y * height}px) translate(-50%, -50%) rotate(${rotate}rad) scale(${scale})`
+        }));
     }
 
-    function cleanupAllIcons() {
-        activeIcons.forEach(cleanupIcon);
+    // When every flight of the step starts, relative to the start of the step
+    function planStep(step) {
+        const phaseLength = (count) => (count > 0 ? (count - 1) * step.stagger + step.duration : 0);
+        const afterStart = phaseLength(step.beforeCount) + step.gap;
+        const plan = [
+            ...Array.from({ length: step.beforeCount }, (_, i) => ({ type: 'before', delay: i * step.stagger })),
+            ...Array.from({ length: step.afterCount }, (_, i) => ({ type: 'after', delay: afterStart + i * step.stagger }))
+        ];
+        return { plan, length: afterStart + phaseLength(step.afterCount) + step.pause };
     }
 
-    function animateIcon(type, index, baseDelay) {
-        return new Promise((resolve) => {
-            if (!isContainerVisible) {
-                resolve();
-                return;
-            }
-
-            const icon = createIcon(type, currentIcon + 1);
-            activeIcons.add(icon);
-            container.appendChild(icon);
-            
-            icon.offsetHeight;
+    function iconCentre(icon) {
+        const rect = icon.getBoundingClientRect();
+        return { clientX: rect.left + rect.width / 2, clientY: rect.top + rect.height / 2 };
+    }
 
-            icon.classList.add(type === 'before' ? 'moving-to-laptop' : 'moving-from-laptop');
-            icon.style.animationDelay = `${baseDelay + (index * 0.64)}s`;
+    function stillStep(step) {
+        return {
+            ...step,
+            beforeCount: Math.min(step.beforeCount, 1),
+            afterCount: Math.min(step.afterCount, 1),
+            gap: -step.duration * UPGRADE_STILL_FADE
+        };
+    }
 
-            const cleanupTime = animationDuration + (baseDelay + (index * 0.64)) * 1600 + 100;
-            setTimeout(() => {
-                cleanupIcon(icon);
-                resolve();
-            }, cleanupTime);
+    // A 'before' icon that reached the screen carries on as a body from where it stopped
+    function landInScene(launch, step) {
+        launch.isHandedOff = true;
+        scene.addSprite(step.before, {}, iconCentre(launch.icon)).then((id) => {
+            launch.icon.style.visibility = 'hidden';
+            if (id === null) return;
+            handedOff.push(id);
+            while (handedOff.length > maxBodies) scene.removeSprite(handedOff.shift());
         });
     }
 
-    async function animateSequence() {
-        if (isAnimating || !isContainerVisible) return;
-        isAnimating = true;
+    // An 'after' icon takes the place of the highest body the sequence put in the pile
+    function pullFromScene(launch, step) {
+        launch.isHandedOff = true;
+        const inPile = handedOff
+            .map(id => ({ id, position: scene.getSpritePosition(id) }))
+            .filter(entry => entry.position !== null);
+        handedOff.length = 0;
+        handedOff.push(...inPile.map(entry => entry.id));
+        const rect = container.getBoundingClientRect();
+        if (inPile.length === 0 || rect.width === 0 || rect.height === 0) return;
+
+        const { id, position } = inPile.reduce((top, entry) => (entry.position.clientY < top.position.clientY ? entry : top));
+        scene.removeSprite(id);
+        handedOff.splice(handedOff.indexOf(id), 1);
+
+        const [first, ...rest] = step.handoffPaths.after;
+        launch.animation.effect.setKeyframes(toKeyframes([{
+            ...first,
+            x: (position.clientX - rect.left) / rect.width,
+            y: (position.clientY - rect.top) / rect.height,
+            rotate: position.angle,
+            scale: 1,
+            opacity: 1
+        }, ...rest]));
+    }
 
-        try {
-            cleanupAllIcons();
+    // Hands flights to the scene as the step's timeline passes them. Checked every frame while the
+    // step is on screen, so it follows pauses and seeks; a reversed step hands nothing over.
+    function watchHandoffs(launches, step) {
+        launches.forEach((launch) => {
+            const { type, delay, animation } = launch;
+            if (launch.isHandedOff || animation.playbackRate < 0 || animation.currentTime === null) return;
+            if (type === 'before' && animation.currentTime >= delay + step.duration) landInScene(launch, step);
+            if (type === 'after' && animation.currentTime >= delay) pullFromScene(launch, step);
+        });
+        handoffFrame = requestAnimationFrame(() => watchHandoffs(launches, step));
+    }
 
-            if (!isContainerVisible) {
-                isAnimating = false;
-                return;
-            }
+    async function animateStep(flightStep, signal) {
+        const isStill = motionPreference.reduced;
+        const step = isStill ? stillStep(flightStep) : flightStep;
+        const { plan, length } = planStep(step);
+        const paths = isStill ? UPGRADE_STILL_PATHS : (scene ? step.handoffPaths : step.paths);
 
-            const toPromises = Array.from({ length: 3 }, (_, i) => 
-                animateIcon('before', i, 0)
-            );
-            await Promise.all(toPromises);
+        // endDelay pads every flight to the length of the step, so the step ends when all of them do
+        const launches = plan.map(({ type, delay }) => {
+            const icon = createIcon(type, step);
+            container.appendChild(icon);
+            const animation = icon.animate(toKeyframes(paths[type]), {
+                delay,
+                duration: step.duration,
+                endDelay: length - delay - step.duration,
+                fill: 'both'
+            });
+            if (direction < 0) animation.reverse();
+            if (suspendReasons.size > 0) animation.pause();
+            return { type, delay, icon, animation, isHandedOff: false };
+        });
+        flights = launches.map(launch => launch.animation);
 
-            if (!isContainerVisible) {
-                cleanupAllIcons();
-                isAnimating = false;
-                return;
-            }
+        const removeIcons = () => {
+            cancelAnimationFrame(handoffFrame);
+            launches.forEach(({ icon, animation }) => {
+                animation.cancel();
+                icon.remove();
+            });
+        };
+        signal.addEventListener('abort', removeIcons, { once: true });
+        if (scene && !isStill) watchHandoffs(launches, step);
 
-            await new Promise(resolve => setTimeout(resolve, 200));
+        try {
+            await Promise.all(flights.map(animation => animation.finished));
+        } finally {
+            signal.removeEventListener('abort', removeIcons);
+            cancelAnimationFrame(handoffFrame);
+            handoffFrame = null;
+            flights = [];
+            launches.forEach(({ icon }) => icon.remove());
+        }
+    }
 
-            if (!isContainerVisible) {
-                cleanupAllIcons();
-                isAnimating = false;
-                return;
+    async function animateSequence(signal) {
+        try {
+            await waitFor(defaults.startDelay, signal);
+            while (true) {
+                await animateStep(steps[currentStep], signal);
+                currentStep = (currentStep + direction + steps.length) % steps.length;
             }
-
-            const fromPromises = Array.from({ length: 3 }, (_, i) => 
-                animateIcon('after', i, 0)
-            );
-            await Promise.all(fromPromises);
-
-            currentIcon = (currentIcon + 1) % numIcons;
-
-            setTimeout(() => {
-                isAnimating = false;
-                if (isContainerVisible) {
-                    animateSequence();
-                }
-            }, 500);
-
         } catch (error) {
-            console.error('Animation error:', error);
-            isAnimating = false;
+            if (error.name !== 'AbortError') console.error('initUpgradeAnimation:', error);
         }
     }
 
-    setTimeout(animateSequence, 1000);
-}
+    function cancelSequence() {
+        if (!abortController) return;
+        abortController.abort();
+        abortController = null;
+    }
 
-// Initialize animation and scroll handling
-document.addEventListener('DOMContentLoaded', () => {
-    initUpgradeAnimation();
-    
-    // Handle scroll event to update container visibility
-    let ticking = false;
-    window.addEventListener('scroll', () => {
-        if (!ticking) {
-            window.requestAnimationFrame(() => {
-                const scrollPercentage = (window.pageYOffset / (document.documentElement.scrollHeight - window.innerHeight)) * 100;
-                
-                // Update container visibility flag
-                if (scrollPercentage > 20 && isContainerVisible) {
-                    isContainerVisible = false;
-                    const container = document.querySelector('.container');
-                    const activeIcons = container.querySelectorAll('.upgrade-icon');
-                    activeIcons.forEach(icon => icon.remove());
-                } else if (scrollPercentage <= 20 && !isContainerVisible) {
-                    isContainerVisible = true;
-                    initUpgradeAnimation();
-                }
-                
-                ticking = false;
-            });
-            ticking = true;
+    // Scrolling away drops the step on screen, a pause holds it mid-flight where it can still be seeked
+    function updateRunning() {
+        if (suspendReasons.has('scrolled') || (suspendReasons.size > 0 && flights.length === 0)) {
+            cancelSequence();
+        } else if (suspendReasons.size > 0) {
+            flights.forEach(animation => animation.pause());
+        } else if (!abortController) {
+            abortController = new AbortController();
+            animateSequence(abortController.signal);
+        } else {
+            flights.forEach(animation => animation.play());
         }
-    });
-});
+    }
 
-//---------------------------------------------------TEXT-ANIMATION------------------------------------------------------------//
-const initTextAnimation = (() => {
-    const phrases = [
-        "транскрибация",
-        "перевод",
-        "конвертация",
-        "преобразование",
-        "транскрипция",
-        "расшифровка"
-    ];
-    
-    let phraseIndex = 0;
-    let charIndex = 0;
-    let isDeleting = false;
-    let animationFrame;
-    
-    return () => {
-        const typingElement = document.getElementById('typing-text');
-        const cursorElement = document.getElementById('cursor');
-        if (!typingElement || !cursorElement) return;
-        
-        function typePhrase(timestamp) {
-            const currentPhrase = phrases[phraseIndex];
-            
-            if (!isDeleting && charIndex <= currentPhrase.length) {
-                typingElement.textContent = currentPhrase.substring(0, charIndex);
-                charIndex++;
-                
-                if (charIndex > currentPhrase.length) {
-                    setTimeout(() => {
-                        isDeleting = true;
-                        requestAnimationFrame(typePhrase);
-                    }, 10000);
-                    return;
-                }
-            } else if (isDeleting && charIndex > 0) {
-                typingElement.textContent = currentPhrase.substring(0, charIndex - 1);
-                charIndex--;
+    // Suspend while the laptop is scrolled out of view, pick up the same step when it comes back
+    let ticking = false;
+    window.addEventListener('scroll', () => {
+        if (ticking) return;
+        ticking = true;
+        window.requestAnimationFrame(() => {
+            const scrollPercentage = (window.pageYOffset / (document.documentElement.scrollHeight - window.innerHeight)) * 100;
+            if (scrollPercentage > UPGRADE_HIDE_AFTER) {
+                suspendReasons.add('scrolled');
             } else {
-                isDeleting = false;
-                phraseIndex = (phraseIndex + 1) % phrases.length;
-                charIndex = 0;
-                setTimeout(() => requestAnimationFrame(typePhrase), 500);
-                return;
+                suspendReasons.delete('scrolled');
             }
-            
-            const delay = isDeleting ? 50 : 100;
-            setTimeout(() => requestAnimationFrame(typePhrase), delay);
-        }
-        
-        // Optimized cursor blink
-        let cursorVisible = true;
-        function blinkCursor() {
-            cursorVisible = !cursorVisible;
-            cursorElement.style.visibility = cursorVisible ? 'visible' : 'hidden';
+            updateRunning();
+            ticking = false;
+        });
+    });
+
+    // A switch in motion preference replaces the step on screen with its other variant
+    motionPreference.subscribe(() => {
+        if (flights.length === 0 || suspendReasons.size > 0) return;
+        cancelSequence();
+        updateRunning();
+    });
+
+    upgradeAnimation = {
+        start() {
+            suspendReasons.delete('paused');
+            updateRunning();
+        },
+        // Holds the step on screen mid-flight
+        pause() {
+            suspendReasons.add('paused');
+            updateRunning();
+        },
+        // Clears the screen, the next start() begins again from the first step
+        stop() {
+            suspendReasons.add('paused');
+            cancelSequence();
+            currentStep = 0;
+        },
+        // Jumps to a time (ms) within the step on screen
+        seek(time) {
+            flights.forEach(animation => {
+                animation.currentTime = time;
+            });
+        },
+        // Flips the direction: the step on screen flies backwards, then the steps before it follow
+        reverse() {
+            direction = -direction;
+            flights.forEach(animation => {
+                animation.playbackRate = -animation.playbackRate;
+            });
+        },
+        get currentTime() {
+            return flights.length > 0 ? flights[0].currentTime : null;
+        },
+        get isReversed() {
+            return direction < 0;
+        },
+        get isRunning() {
+            return abortController !== null && suspendReasons.size === 0;
+        },
+        get isPaused() {
+            return suspendReasons.has('paused');
         }
-        
-        setInterval(blinkCursor, 530);
-        requestAnimationFrame(typePhrase);
     };
-})();
+
+    updateRunning();
+    return upgradeAnimation;
+}
 
 //---------------------------------------------------PARALAX------------------------------------------------------------//
 
@@ -430,8 +399,8 @@ window.history.scrollRestoration = 'manual';
       const windowHeight = window.innerHeight;
       const scrollPercentage = (scrollPosition / (totalScrollHeight - windowHeight)) * 100;
   
-      // Move background slightly
-      document.body.style.backgroundPosition = `center ${-scrollPosition * 0.1}px`;
+      // Move background slightly, unless the visitor asked for reduced motion
+      document.body.style.backgroundPosition = motionPreference.reduced ? '' : `center ${-scrollPosition * 0.1}px`;
   
       // Handle laptop container
       if (scrollPercentage > 20) {
@@ -497,9 +466,14 @@ window.history.scrollRestoration = 'manual';
 
 //---------------------------------------------------INIT------------------------------------------------------------//
   document.addEventListener('DOMContentLoaded', () => {
-    initPhysics();
-    initTextAnimation();
-    initUpgradeAnimation();
+    window.laptopPhysics = initPhysics({
+        walls: { closeTopWhenSettled: true },
+        interaction: { dragDamping: 0 }
+    });
+    // The phrases come from #typing-phrases in the page
+    initTextAnimation({ hold: 10000 });
+    attachSpringHover('[data-spring]');
+    initUpgradeAnimation(UPGRADE_MANIFEST, { physics: window.laptopPhysics });
 });
   
 //---------------------------------------------------HEADER------------------------------------------------------------//
@@ -0,0 +1,258 @@
+//---------------------------------------------------SPRING-HOVER------------------------------------------------------------//
+// Spring hover shared by both pages: elements are pushed away from (or pulled towards) the pointer and
+// spring back to their place. Pages load this file after motion.js and before their own script, and call
+// attachSpringHover(target, options) with a selector, an element or a list of elements. Markup can opt in
+// with data-spring (data-spring="attract" to pull) and tune single elements with data-spring-stiffness,
+// -damping, -radius, -strength and -max-offset. Anything not set falls back to SPRING_DEFAULTS. With reduced
+// motion the pointer has no effect and everything stays in place.
+const SPRING_DEFAULTS = {
+    stiffness: 0.2,          // share of the offset pulled back every frame
+    damping: 0.9,            // share of the velocity kept every frame, lower settles sooner
+    radius: 120,             // px around the element's centre the pointer reaches
+    strength: 1.5,           // force with the pointer right on the centre, fading out towards the radius
+    mode: 'repel',           // 'repel' or 'attract'
+    maxOffset: 20,           // px the element can move away from its place
+    area: null               // element (or selector) the pointer has to be over, null for anywhere
+};
+
+const SPRING_LIMITS = {
+    stiffness: [0, 1],
+    damping: [0, 1],
+    radius: [1, 2000],
+    strength: [0, 100],
+    maxOffset: [0, 500]
+};
+
+const SPRING_MODES = ['repel', 'attract'];
+
+// Offsets and speeds below this count as at rest; once every element is, the shared loop stops
+const SPRING_REST = 0.01;
+
+// element -> { element, options, x, y, velX, velY }
+const springInstances = new Map();
+const springPointer = { x: 0, y: 0, isActive: false };
+let springFrame = null;
+let removeSpringListeners = null;
+
+// Applies `options` over `base`, reporting and skipping anything invalid
+function resolveSpringOptions(options, base = SPRING_DEFAULTS, source = 'option') {
+    const resolved = { ...base };
+
+    Object.keys(options).forEach(key => {
+        const value = options[key];
+        if (value === undefined) return;
+        if (!(key in SPRING_DEFAULTS)) {
+            console.error(`attachSpringHover: unknown ${source} "${key}"`);
+            return;
+        }
+
+        if (key === 'area') {
+            const area = typeof value === 'string' ? document.querySelector(value) : value;
+            if (area === null || area instanceof Element) {
+                resolved.area = area;
+            } else {
+                console.error(`attachSpringHover: ${source} "area" must be an element or a selector, got ${value}`);
+            }
+            return;
+        }
+        if (key === 'mode') {
+            if (SPRING_MODES.includes(value)) {
+                resolved.mode = value;
+            } else {
+                console.error(`attachSpringHover: ${source} "mode" must be one of ${SPRING_MODES.join(', ')}, got ${value}`);
+            }
+            return;
+        }
+
+        const [min, max] = SPRING_LIMITS[key];
+        if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max) {
+            console.error(`attachSpringHover: ${source} "${key}" must be a number between ${min} and ${max}, got ${value}`);
+            return;
+        }
+        resolved[key] = value;
+    });
+
+    return resolved;
+}
+
+function readSpringAttributes(element) {
+    const { dataset } = element;
+    const attributes = {};
+    if (SPRING_MODES.includes(dataset.spring)) attributes.mode = dataset.spring;
+
+    ['stiffness', 'damping', 'radius', 'strength', 'maxOffset'].forEach(key => {
+        const value = dataset[`spring${key[0].toUpperCase()}${key.slice(1)}`];
+        if (value !== undefined) attributes[key] = Number(value);
+    });
+    return attributes;
+}
+
+function isPointerOver(element) {
+    const rect = element.getBoundingClientRect();
+    return springPointer.x >= rect.left && springPointer.x <= rect.right &&
+        springPointer.y >= rect.top && springPointer.y <= rect.bottom;
+}
+
+// One frame of a single element: the spring pulls it home, the pointer adds its own force while in
+// reach. Returns whether the element is still moving.
+function stepSpring(instance, canReach) {
+    const { element, options } = instance;
+    let forceX = -options.stiffness * instance.x;
+    let forceY = -options.stiffness * instance.y;
+    let isPushed = false;
+
+    if (springPointer.isActive && canReach && !motionPreference.reduced) {
+        const rect = element.getBoundingClientRect();
+        // Measured from the element's resting centre, otherwise it would chase its own offset
+        const dx = rect.left + rect.width / 2 - instance.x - springPointer.x;
+        const dy = rect.top + rect.height / 2 - instance.y - springPointer.y;
+        const distance = Math.hypot(dx, dy);
+
+        if (distance > 0 && distance < options.radius) {
+            const force = options.strength * (1 - distance / options.radius) * (options.mode === 'repel' ? 1 : -1);
+            forceX += (dx / distance) * force;
+            forceY += (dy / distance) * force;
+            isPushed = true;
+        }
+    }
+
+    instance.velX = (instance.velX + forceX) * options.damping;
+    instance.velY = (instance.velY + forceY) * options.damping;
+    instance.x += instance.velX;
+    instance.y += instance.velY;
+
+    // Held at the limit, the element stops there instead of building up speed against it
+    const offset = Math.hypot(instance.x, instance.y);
+    if (offset > options.maxOffset) {
+        instance.x *= options.maxOffset / offset;
+        instance.y *= options.maxOffset / offset;
+        instance.velX = 0;
+        instance.velY = 0;
+    }
+
+    // A pushed element at rest stays where the pointer holds it, pointermove wakes the loop again.
+    // One that isn't pushed only rests back in its place.
+    const isMoving = Math.max(Math.abs(instance.velX), Math.abs(instance.velY)) > SPRING_REST ||
+        (!isPushed && Math.max(Math.abs(instance.x), Math.abs(instance.y)) > SPRING_REST);
+    if (!isMoving && !isPushed) {
+        instance.x = 0;
+        instance.y = 0;
+        instance.velX = 0;
+        instance.velY = 0;
+    }
+
+    // `translate` composes with any transform the element already has (.fast-click, scroll animations)
+    element.style.translate = isMoving || isPushed ? `${instance.x}px ${instance.y}px` : '';
+    return isMoving;
+}
+
+// The one rAF loop behind every attached element. It only runs while something moves or the pointer does.
+function runSprings() {
+    springFrame = null;
+    const hoveredAreas = new Map();
+    let isMoving = false;
+
+    springInstances.forEach(instance => {
+        const { area } = instance.options;
+        if (area && !hoveredAreas.has(area)) hoveredAreas.set(area, isPointerOver(area));
+        if (stepSpring(instance, !area || hoveredAreas.get(area))) isMoving = true;
+    });
+
+    if (isMoving) springFrame = requestAnimationFrame(runSprings);
+}
+
+function wakeSprings() {
+    if (springFrame === null && springInstances.size > 0) springFrame = requestAnimationFrame(runSprings);
+}
+
+function listenToSpringPointer() {
+    const move = (event) => {
+        springPointer.x = event.clientX;
+        springPointer.y = event.clientY;
+        springPointer.isActive = true;
+        wakeSprings();
+    };
+    const leave = () => {
+        springPointer.isActive = false;
+        wakeSprings();
+    };
+    // A finger that lifts is gone, a mouse stays where it is
+    const up = (event) => {
+        if (event.pointerType !== 'mouse') leave();
+    };
+
+    document.addEventListener('pointermove', move, { passive: true });
+    document.addEventListener('pointerup', up);
+    document.addEventListener('pointercancel', leave);
+    document.documentElement.addEventListener('pointerleave', leave);
+    window.addEventListener('blur', leave);
+
+    return () => {
+        document.removeEventListener('pointermove', move, { passive: true });
+        document.removeEventListener('pointerup', up);
+        document.removeEventListener('pointercancel', leave);
+        document.documentElement.removeEventListener('pointerleave', leave);
+        window.removeEventListener('blur', leave);
+    };
+}
+
+// Snaps everything home at once instead of letting it spring back
+motionPreference.subscribe(reduced => {
+    if (!reduced) return;
+    springInstances.forEach(instance => {
+        instance.x = 0;
+        instance.y = 0;
+        instance.velX = 0;
+        instance.velY = 0;
+        instance.element.style.translate = '';
+    });
+});
+
+// Only removes `instance` if given, so an old handle can't detach a newer attachment
+function detachSpringElement(element, instance) {
+    if (!springInstances.has(element) || (instance && springInstances.get(element) !== instance)) return;
+    springInstances.delete(element);
+    element.style.translate = '';
+
+    if (springInstances.size === 0) {
+        cancelAnimationFrame(springFrame);
+        springFrame = null;
+        removeSpringListeners();
+        removeSpringListeners = null;
+    }
+}
+
+// Returns { elements, detach() }. Attaching an element again replaces its earlier options.
+function attachSpringHover(target, options = {}) {
+    let elements;
+    if (typeof target === 'string') {
+        elements = Array.from(document.querySelectorAll(target));
+    } else if (target instanceof Element) {
+        elements = [target];
+    } else {
+        elements = Array.from(target || []);
+    }
+
+    const base = resolveSpringOptions(options);
+    const instances = elements.map(element => {
+        detachSpringElement(element);
+        const instance = {
+            element,
+            options: resolveSpringOptions(readSpringAttributes(element), base, 'data attribute'),
+            x: 0,
+            y: 0,
+            velX: 0,
+            velY: 0
+        };
+        springInstances.set(element, instance);
+        return instance;
+    });
+    if (springInstances.size > 0 && !removeSpringListeners) removeSpringListeners = listenToSpringPointer();
+
+    return {
+        elements,
+        detach() {
+            instances.forEach(instance => detachSpringElement(instance.element, instance));
+        }
+    };
+}
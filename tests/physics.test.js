@@ -0,0 +1,322 @@
+// Headless tests for initPhysics. physics.js runs unchanged inside jsdom with Matter loaded as a
+// page script; the scene is paused right after start and advanced with step(), so every run sees
+// the same layout. jsdom and matter-js are dev dependencies, the site itself doesn't use them:
+//
+//     npm install
+//     npm test
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { JSDOM } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..');
+const SPRITES = ['icon-1.svg', 'icon-2.svg', 'icon-3.svg', 'icon-4.svg', 'icon-5.svg', 'icon-6.svg'];
+const SPRITE_SIZE = 40;
+
+function createPage({ width = 734, height = 478, reducedMotion = false } = {}) {
+    const images = SPRITES.map(src => `<img src="./icons/${src}" alt="">`).join('');
+    const dom = new JSDOM(`<!DOCTYPE html><body>
+        <div class="svg-sprites">${images}</div>
+        <div class="container"><div id="canvas-container"></div></div>
+    </body>`, { url: 'http://localhost/', runScripts: 'outside-only', pretendToBeVisual: true });
+    const { window } = dom;
+    const size = { width, height };
+
+    // jsdom has no layout, image decoding or 2d canvas
+    Object.defineProperty(window.HTMLElement.prototype, 'clientWidth', { get: () => size.width });
+    Object.defineProperty(window.HTMLElement.prototype, 'clientHeight', { get: () => size.height });
+    Object.defineProperty(window.HTMLImageElement.prototype, 'complete', { get: () => true });
+    Object.defineProperty(window.HTMLImageElement.prototype, 'naturalWidth', { get: () => SPRITE_SIZE });
+    Object.defineProperty(window.HTMLImageElement.prototype, 'naturalHeight', { get: () => SPRITE_SIZE });
+    // Images created from script (addSprite) would otherwise never fire load
+    const imageSrc = Object.getOwnPropertyDescriptor(window.HTMLImageElement.prototype, 'src');
+    Object.defineProperty(window.HTMLImageElement.prototype, 'src', {
+        ...imageSrc,
+        set(value) {
+            imageSrc.set.call(this, value);
+            setTimeout(() => this.dispatchEvent(new window.Event('load')));
+        }
+    });
+    // jsdom has no matchMedia either, only the reduced motion query ever matches
+    window.matchMedia = (query) => ({
+        media: query,
+        matches: reducedMotion && query === '(prefers-reduced-motion: reduce)',
+        addEventListener: () => {},
+        removeEventListener: () => {}
+    });
+    window.HTMLCanvasElement.prototype.getContext = () => new Proxy({}, {
+        get: (target, key) => (key in target ? target[key] : () => {}),
+        set: (target, key, value) => {
+            target[key] = value;
+            return true;
+        }
+    });
+
+    // The container is reported on screen shortly after it is observed, like a browser does on load
+    window.IntersectionObserver = class {
+        constructor(callback) {
+            this.callback = callback;
+        }
+        observe(target) {
+            setTimeout(() => this.callback([{ target, isIntersecting: true }]));
+        }
+        disconnect() {}
+    };
+
+    // Stands in for physics-worker.js: ready after a while, then answers every step without moving anything
+    const workers = [];
+    window.Worker = class {
+        constructor() {
+            this.steps = 0;
+            this.isTerminated = false;
+            workers.push(this);
+        }
+        postMessage(message) {
+            if (message.type === 'step') this.steps++;
+            const reply = message.type === 'init' ? { type: 'ready' } : { type: 'state', data: new Float64Array(0) };
+            setTimeout(() => {
+                if (!this.isTerminated && this.onmessage) this.onmessage({ data: reply });
+            }, message.type === 'init' ? 50 : 1);
+        }
+        terminate() {
+            this.isTerminated = true;
+        }
+    };
+
+    // Track animation frames and listeners so destroy() can be checked for leaks
+    const frames = new Set();
+    const requestFrame = window.requestAnimationFrame.bind(window);
+    const cancelFrame = window.cancelAnimationFrame.bind(window);
+    window.requestAnimationFrame = (callback) => {
+        const id = requestFrame((time) => {
+            frames.delete(id);
+            callback(time);
+        });
+        frames.add(id);
+        return id;
+    };
+    window.cancelAnimationFrame = (id) => {
+        frames.delete(id);
+        cancelFrame(id);
+    };
+
+    // Count listeners on the page-wide targets physics.js listens on. The methods are wrapped on these
+    // objects only, so listeners jsdom or Matter add elsewhere don't count. The canvas goes with destroy().
+    const listeners = new Map();
+    [window, window.document, window.document.querySelector('#canvas-container')].forEach(target => {
+        const { addEventListener, removeEventListener } = target;
+        target.addEventListener = function (type, handler, options) {
+            listeners.set(target, (listeners.get(target) || 0) + 1);
+            return addEventListener.call(this, type, handler, options);
+        };
+        target.removeEventListener = function (type, handler, options) {
+            listeners.set(target, (listeners.get(target) || 0) - 1);
+            return removeEventListener.call(this, type, handler, options);
+        };
+    });
+
+    window.eval(fs.readFileSync(require.resolve('matter-js/build/matter.min.js'), 'utf8'));
+    // One eval, top-level consts of separate evals don't see each other the way page scripts do
+    const scripts = ['motion.js', 'physics.js'].map(file => fs.readFileSync(path.join(ROOT, file), 'utf8'));
+    window.eval(`${scripts.join('\n')}\n//# sourceURL=physics.js`);
+
+    // Keep hold of the engine the scene creates
+    let engine = null;
+    const createEngine = window.Matter.Engine.create;
+    window.Matter.Engine.create = (options) => (engine = createEngine(options));
+
+    return {
+        window,
+        size,
+        frames,
+        listeners,
+        workers,
+        get engine() {
+            return engine;
+        }
+    };
+}
+
+async function createScene(options = {}, pageOptions) {
+    const page = createPage(pageOptions);
+    const scene = await page.window.initPhysics({
+        spawn: { pattern: 'seeded', seed: 42 },
+        ...options
+    });
+    scene.pause();
+
+    const { Composite } = page.window.Matter;
+    const allBodies = () => Composite.allBodies(page.engine.world);
+    return {
+        page,
+        scene,
+        sprites: () => allBodies().filter(body => !body.isStatic),
+        walls: () => allBodies().filter(body => body.isStatic)
+    };
+}
+
+const round = (value) => Math.round(value * 1000) / 1000;
+// Array.from keeps the result in this realm, arrays from two jsdom windows never deep-equal
+const snapshot = (bodies) => Array.from(bodies, body => [round(body.position.x), round(body.position.y), round(body.angle)]);
+
+test('the same seed always produces the same pile', async () => {
+    const first = await createScene();
+    const second = await createScene();
+    first.scene.step(600);
+    second.scene.step(600);
+
+    assert.equal(first.sprites().length, SPRITES.length);
+    assert.deepEqual(snapshot(first.sprites()), snapshot(second.sprites()));
+
+    first.scene.destroy();
+    second.scene.destroy();
+});
+
+test('sprites come to rest on the floor inside the container', async () => {
+    const { scene, sprites } = await createScene();
+    scene.step(900);
+
+    sprites().forEach(body => {
+        assert.ok(body.position.x > 0 && body.position.x < 734, `x ${body.position.x} is inside`);
+        assert.ok(body.bounds.max.y <= 478 + 1, `bottom ${body.bounds.max.y} is above the floor`);
+    });
+    assert.ok(Object.values(scene.getSpriteStates()).every(state => state === 'settled'));
+
+    scene.destroy();
+});
+
+test('a resize rebuilds all walls and keeps sprites inside', async () => {
+    const { page, scene, sprites, walls } = await createScene();
+    scene.step(600);
+
+    page.size.width = 400;
+    page.size.height = 300;
+    page.window.dispatchEvent(new page.window.Event('resize'));
+    await new Promise(resolve => setTimeout(resolve, 300));
+
+    const [floor, ...sides] = walls().sort((a, b) => (b.bounds.max.x - b.bounds.min.x) - (a.bounds.max.x - a.bounds.min.x));
+    const [left, right] = sides.sort((a, b) => a.position.x - b.position.x);
+    assert.equal(walls().length, 3);
+    assert.deepEqual([floor.position.x, floor.position.y], [200, 330]);
+    assert.deepEqual([floor.bounds.min.x, floor.bounds.max.x], [-60, 460]);
+    assert.deepEqual([left.position.x, right.position.x], [-30, 430]);
+    assert.equal(left.bounds.max.y - left.bounds.min.y, 420);
+
+    scene.step(120);
+    sprites().forEach(body => {
+        assert.ok(body.position.x > 0 && body.position.x < 400, `x ${body.position.x} is inside`);
+        assert.ok(body.position.y < 300, `y ${body.position.y} is inside`);
+    });
+
+    scene.destroy();
+});
+
+test('escaped sprites are reported and dropped back in', async () => {
+    const { page, scene, sprites } = await createScene();
+    scene.step(300);
+
+    const states = [];
+    page.window.document.addEventListener('spritestate', (event) => states.push(event.detail));
+    const [body] = sprites();
+    page.window.Matter.Body.setPosition(body, { x: 300, y: 478 + 500 });
+    scene.step(1);
+
+    assert.ok(states.some(state => state.id === body.id && state.state === 'escaped'));
+    assert.ok(body.position.y < 0, 'respawned above the container');
+    assert.equal(body.render.opacity < 1, true, 'fades back in');
+
+    scene.step(60);
+    assert.equal(body.render.opacity, 1);
+
+    scene.destroy();
+});
+
+test('closeTopWhenSettled adds the ceiling once the scene has settled', async () => {
+    const { page, scene, walls } = await createScene({ walls: { closeTopWhenSettled: true } });
+    let settled = 0;
+    page.window.document.addEventListener('scenesettled', () => settled++);
+
+    assert.equal(walls().length, 3);
+    scene.step(900);
+    assert.equal(settled, 1);
+    assert.equal(walls().length, 4);
+
+    scene.reset();
+    assert.equal(walls().length, 3);
+
+    scene.destroy();
+});
+
+test('addSprite places a sprite at a viewport point and getSpritePosition reports it back', async () => {
+    const { scene, sprites } = await createScene();
+    scene.step(300);
+
+    const id = await scene.addSprite('./icons/icon-1.svg', { label: 'handed off' }, { clientX: 200, clientY: 100 });
+    assert.equal(sprites().length, SPRITES.length + 1);
+    const { clientX, clientY, angle } = scene.getSpritePosition(id);
+    assert.deepEqual([clientX, clientY, angle], [200, 100, 0]);
+
+    scene.step(600);
+    assert.ok(scene.getSpritePosition(id).clientY > 100, 'falls into the pile');
+    assert.equal(scene.removeSprite(id), true);
+    assert.equal(scene.getSpritePosition(id), null);
+
+    scene.destroy();
+});
+
+test('with reduced motion the pile is already settled when the scene starts', async () => {
+    const { scene, sprites } = await createScene({}, { reducedMotion: true });
+
+    assert.equal(sprites().length, SPRITES.length);
+    assert.ok(Object.values(scene.getSpriteStates()).every(state => state === 'settled'));
+    scene.reset();
+    assert.ok(Object.values(scene.getSpriteStates()).every(state => state === 'settled'), 'a reset settles again');
+
+    scene.destroy();
+});
+
+test('a worker scene steps only in the worker and stops on pause and destroy', async (t) => {
+    const page = createPage();
+    // A leaked loop would otherwise keep the test process alive instead of failing the test
+    t.after(() => page.window.close());
+    const scene = await page.window.initPhysics({ worker: { enabled: true } });
+    const [worker] = page.workers;
+    const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+    await wait(200);
+
+    assert.equal(scene.usesWorker, true);
+    assert.ok(worker.steps > 0, 'the worker steps');
+
+    // A step already sent to the worker may still be answered
+    scene.pause();
+    await wait(50);
+    const pausedAt = page.engine.timing.timestamp;
+    const pausedSteps = worker.steps;
+    await wait(200);
+    assert.equal(page.engine.timing.timestamp, pausedAt, 'the engine holds still while paused');
+    assert.equal(worker.steps, pausedSteps);
+
+    scene.resume();
+    await wait(100);
+    scene.destroy();
+    const destroyedAt = page.engine.timing.timestamp;
+    await wait(200);
+    assert.equal(page.engine.timing.timestamp, destroyedAt, 'nothing steps after destroy');
+    assert.equal(worker.isTerminated, true);
+    assert.equal(page.frames.size, 0);
+});
+
+test('destroy leaves no animation frames or listeners behind', async () => {
+    const page = createPage();
+    const baseline = new Map(page.listeners);
+    const scene = await page.window.initPhysics();
+    await new Promise(resolve => setTimeout(resolve, 100));
+
+    scene.destroy();
+    assert.equal(page.frames.size, 0);
+    [page.window, page.window.document, page.window.document.querySelector('#canvas-container')].forEach(target => {
+        assert.equal(page.listeners.get(target) || 0, baseline.get(target) || 0);
+    });
+    assert.equal(page.window.document.querySelector('canvas'), null);
+});
@@ -0,0 +1,430 @@
+//---------------------------------------------------TEXT-ANIMATION------------------------------------------------------------//
+// Typewriter headline shared by both pages. Pages load this file after motion.js and spring.js and
+// before their own script, and call initTextAnimation(options).
+
+// Typed phrases per document language. Each phrase is typed as prefix, highlight, suffix; only the
+// highlight takes the accent colour. A page can replace these with, in order of precedence:
+// initTextAnimation({ phrases }), a data-phrases attribute on .typing-block or a
+// <script type="application/json" id="typing-phrases"> block. Each source is either an array of
+// phrases or an object of arrays keyed by language.
+const TEXT_PHRASES = {
+    ru: [
+        { highlight: 'Транскрибация', suffix: ' аудио в текст' },
+        { highlight: 'Перевод', suffix: ' аудио в текст' },
+        { highlight: 'Конвертация', suffix: ' аудио в текст' },
+        { highlight: 'Преобразование', suffix: ' аудио в текст' },
+        { highlight: 'Транскрипция', suffix: ' аудио в текст' },
+        { highlight: 'Расшифровка', suffix: ' аудио в текст' }
+    ],
+    en: [
+        { highlight: 'Transcribe', suffix: ' audio to text' },
+        { highlight: 'Translate', suffix: ' audio to text' },
+        { highlight: 'Convert', suffix: ' audio to text' },
+        { highlight: 'Turn', suffix: ' audio into text' }
+    ],
+    kk: [
+        { prefix: 'Аудионы мәтінге ', highlight: 'транскрипциялау' },
+        { prefix: 'Аудионы мәтінге ', highlight: 'аудару' },
+        { prefix: 'Аудионы мәтінге ', highlight: 'түрлендіру' },
+        { prefix: 'Аудионы мәтінге ', highlight: 'айналдыру' }
+    ]
+};
+
+// Used when the page language has no phrases of its own
+const TEXT_DEFAULT_LANG = 'ru';
+
+const initTextAnimation = (() => {
+    // Plain strings are typed as a highlight of their own
+    function normalizePhrase(phrase, index) {
+        if (typeof phrase === 'string') phrase = { highlight: phrase };
+        if (!phrase || typeof phrase !== 'object') {
+            console.error(`initTextAnimation: phrase ${index} must be a string or { prefix, highlight, suffix }`);
+            return null;
+        }
+
+        const parts = {};
+        for (const part of ['prefix', 'highlight', 'suffix']) {
+            const value = phrase[part] === undefined ? '' : phrase[part];
+            if (typeof value !== 'string') {
+                console.error(`initTextAnimation: phrase ${index} has a non-string ${part}`);
+                return null;
+            }
+            parts[part] = value;
+        }
+        if (!parts.prefix && !parts.highlight && !parts.suffix) {
+            console.error(`initTextAnimation: phrase ${index} is empty`);
+            return null;
+        }
+        // A phrase can set its own direction, otherwise it follows the page
+        if (phrase.dir !== undefined) {
+            if (['ltr', 'rtl', 'auto'].includes(phrase.dir)) {
+                parts.dir = phrase.dir;
+            } else {
+                console.error(`initTextAnimation: phrase ${index} has an unknown dir "${phrase.dir}"`);
+            }
+        }
+        return parts;
+    }
+
+    // 'kk-KZ' falls back to 'kk', then to TEXT_DEFAULT_LANG
+    function pickLanguage(source, lang) {
+        if (Array.isArray(source)) return source;
+        const base = lang.split('-')[0];
+        return source[lang] || source[base] || source[TEXT_DEFAULT_LANG] || null;
+    }
+
+    function parseSource(json, where) {
+        try {
+            return JSON.parse(json);
+        } catch (error) {
+            console.error(`initTextAnimation: ${where} is not valid JSON`);
+            return null;
+        }
+    }
+
+    function resolvePhrases(options, typingBlock, lang) {
+        const script = document.getElementById('typing-phrases');
+        const sources = [
+            options.phrases,
+            typingBlock.dataset.phrases && parseSource(typingBlock.dataset.phrases, 'data-phrases'),
+            script && parseSource(script.textContent, '#typing-phrases'),
+            TEXT_PHRASES
+        ];
+
+        for (const source of sources) {
+            if (!source || typeof source !== 'object') continue;
+            const list = pickLanguage(source, lang);
+            if (!Array.isArray(list)) continue;
+            const phrases = list.map(normalizePhrase).filter(Boolean);
+            if (phrases.length > 0) return phrases;
+        }
+        return [];
+    }
+
+    // Starting the animation again replaces the one running
+    let activeAnimation = null;
+
+    const PARTS = ['prefix', 'highlight', 'suffix'];
+    // initTextAnimation({ mode }) picks how the typist gets to the next phrase: 'retype' deletes the whole phrase, 'morph'
+    // only deletes back to the start both phrases share (e.g. 'Транскри' in 'Транскрибация' and 'Транскрипция')
+    const MODES = ['retype', 'morph'];
+
+    function createLetterSpan(char) {
+        const span = document.createElement('span');
+        span.textContent = char;
+        
+        if (char === ' ') {
+            span.style.display = 'inline';
+            span.style.marginInlineEnd = '0.15em'; // Adds space between words, on the left in RTL runs
+        } else {
+            span.style.display = 'inline-block';
+            span.style.position = 'relative';
+        }
+        
+        return span;
+    }
+
+    // Without Intl.Segmenter: flag pairs, and a base character with its marks, skin tones and
+    // ZWJ-joined followers count as one
+    const GRAPHEME_FALLBACK = /\p{Regional_Indicator}{2}|\P{M}[\p{M}\u{1F3FB}-\u{1F3FF}]*(?:\u200D\P{M}[\p{M}\u{1F3FB}-\u{1F3FF}]*)*|\p{M}+/gu;
+    const RTL_SCRIPTS = /[\p{Script=Hebrew}\p{Script=Arabic}\p{Script=Syriac}\p{Script=Thaana}\p{Script=Nko}]/u;
+    // Scripts whose letters connect; split into spans they need ZWJs to keep their joined forms
+    const JOINING_SCRIPTS = /[\p{Script=Arabic}\p{Script=Syriac}\p{Script=Nko}\p{Script=Mongolian}]/u;
+    // Joining types from Unicode's ArabicShaping.txt for the letters that don't join on both sides.
+    // Right-joining letters (ا د ر و ة ...) connect only to the letter before them, non-joining
+    // ones (ء) to neither. Every other letter of these scripts is dual-joining.
+    const RIGHT_JOINING = /[\u0622-\u0625\u0627\u0629\u062F-\u0632\u0648\u0671-\u0673\u0675-\u0677\u0688-\u0699\u06C0\u06C3-\u06CB\u06CD\u06CF\u06D2\u06D3\u06D5\u06EE\u06EF\u0759-\u075B\u076B\u076C\u0771\u0773\u0774\u0778\u0779\u08AA-\u08AC\u08AE\u08B1\u08B2\u08B9\u0710\u0715-\u0719\u071E\u0728\u072A\u072C\u072F\u074D]/u;
+    const NON_JOINING = /[\u0621\u0674]/u;
+    const ZWJ = '\u200D';
+
+    let segmenter = null;
+
+    // Splits into user-perceived characters, so emoji and combining marks are typed in one go
+    function splitCharacters(text) {
+        if (segmenter) return Array.from(segmenter.segment(text), segment => segment.segment);
+        return text.match(GRAPHEME_FALLBACK) || [];
+    }
+
+    // 'ltr', 'rtl' or null for neutrals (spaces, punctuation, emoji). Numbers always read left to right.
+    function strongDirection(char) {
+        if (/\p{N}/u.test(char)) return 'ltr';
+        if (RTL_SCRIPTS.test(char)) return 'rtl';
+        return /\p{L}/u.test(char) ? 'ltr' : null;
+    }
+
+    // 'dual', 'right' or null for anything that doesn't join (other scripts, spaces, digits, punctuation).
+    // Only the base character counts, marks riding on it don't change how it joins.
+    function joiningType(letter) {
+        if (!letter) return null;
+        const [base] = letter.char;
+        if (!JOINING_SCRIPTS.test(base) || !/\p{L}/u.test(base) || NON_JOINING.test(base)) return null;
+        return RIGHT_JOINING.test(base) ? 'right' : 'dual';
+    }
+
+    // The phrase as one list of characters, each tagged with the part it belongs to
+    function phraseCharacters(phrase) {
+        return PARTS.flatMap(part => splitCharacters(phrase[part]).map(char => ({ part, char })));
+    }
+
+    function sharedLength(from, to) {
+        let length = 0;
+        while (length < from.length && length < to.length &&
+            from[length].part === to[length].part && from[length].char === to[length].char) {
+            length++;
+        }
+        return length;
+    }
+
+    // Options: phrases, lang (defaults to the page's), mode ('retype' or 'morph') and hold (ms a typed
+    // phrase stays, 2000 by default).
+    // Returns { destroy() }, or null when the page has no typing block or nothing to type. Each time a
+    // phrase is fully typed .typing-block dispatches a bubbling 'phrasechange' CustomEvent, detail is
+    // { index, text, phrase } with phrase as { prefix, highlight, suffix }.
+    return (options = {}) => {
+        if (activeAnimation) activeAnimation.destroy();
+
+        const typingBlock = document.querySelector('.typing-block');
+        const typingText = document.getElementById('typing-text');
+        const cursorElement = document.getElementById('cursor');
+
+        if (!typingBlock || !typingText || !cursorElement) return null;
+
+        const lang = (options.lang || document.documentElement.lang || TEXT_DEFAULT_LANG).toLowerCase();
+        const phrases = resolvePhrases(options, typingBlock, lang);
+        if (phrases.length === 0) {
+            console.error('initTextAnimation: no phrases to type');
+            return null;
+        }
+
+        let phraseIndex = 0;
+        let charIndex = 0;
+        let isDeleting = false;
+        // The one pending step of the typist, so destroy() can cancel it
+        let typingTimer = null;
+
+        function schedule(delay) {
+            typingTimer = setTimeout(typePhrase, delay);
+        }
+
+        segmenter = typeof Intl.Segmenter === 'function' ? new Intl.Segmenter(lang, { granularity: 'grapheme' }) : null;
+
+        // The heading holds the text and the cursor, its dir puts the cursor at the logical end of
+        // the phrase. 'auto' (on the page or a phrase) picks the direction of the phrase's first strong letter.
+        const heading = typingText.parentElement;
+        const headingDir = heading.getAttribute('dir');
+        const dirHost = typingBlock.closest('[dir]');
+        const pageDirection = (dirHost && dirHost.dir) || 'ltr';
+
+        function phraseDirection(phrase) {
+            const dir = phrase.dir || pageDirection;
+            if (dir !== 'auto') return dir;
+            return splitCharacters(phrase.prefix + phrase.highlight + phrase.suffix).map(strongDirection).find(Boolean) || 'ltr';
+        }
+
+        // ms a fully typed phrase stays on screen before it is deleted
+        let hold = options.hold === undefined ? 2000 : options.hold;
+        if (typeof hold !== 'number' || !Number.isFinite(hold) || hold < 0) {
+            console.error(`initTextAnimation: hold must be a number of ms, 0 or more, got ${hold}`);
+            hold = 2000;
+        }
+
+        let mode = options.mode === undefined ? 'retype' : options.mode;
+        if (!MODES.includes(mode)) {
+            console.error(`initTextAnimation: unknown mode "${mode}", using 'retype'`);
+            mode = 'retype';
+        }
+
+        // Letters shy away from the pointer while it is over the typing block
+        const letterSpring = { area: typingBlock, radius: 80 };
+
+        // One wrapper per part, made once. Only the highlight takes the accent colour of #typing-text.
+        // Letters are kept as { char, span, spring, run }, so a letter that stays on screen keeps its spring.
+        // Inline-block letters have no direction of their own, so consecutive letters of one direction
+        // share a run, a span with that dir which the browser lays out as an isolated unit.
+        typingText.innerHTML = '';
+        const parts = {};
+        PARTS.forEach(part => {
+            const element = document.createElement('span');
+            element.className = part;
+            typingText.appendChild(element);
+            parts[part] = { element, letters: [] };
+        });
+
+        function appendLetter(part, char) {
+            const { element, letters } = parts[part];
+            const direction = strongDirection(char);
+            const last = letters[letters.length - 1];
+            let run = last ? last.run : null;
+            if (!run || (direction && run.dir !== direction)) {
+                run = document.createElement('span');
+                run.dir = direction || heading.dir || pageDirection;
+                element.appendChild(run);
+            }
+
+            const span = createLetterSpan(char);
+            run.appendChild(span);
+            letters.push({ char, span, spring: attachSpringHover(span, letterSpring), run });
+        }
+
+        // Keeps the letters that already match and only replaces the rest
+        function setPartText(part, chars) {
+            const { letters } = parts[part];
+            let kept = 0;
+            while (kept < letters.length && kept < chars.length && letters[kept].char === chars[kept]) kept++;
+
+            letters.splice(kept).forEach(letter => {
+                letter.spring.detach();
+                letter.span.remove();
+                if (!letter.run.hasChildNodes()) letter.run.remove();
+            });
+            chars.slice(kept).forEach(char => appendLetter(part, char));
+        }
+
+        // Joining letters get a ZWJ towards each neighbour they connect to, so they keep their connected
+        // forms across span boundaries. A right-joining letter ends the connection, the letter after it
+        // starts a new one. Only spans whose text changes are touched.
+        function shapeLetters(letters) {
+            letters.forEach((letter, index) => {
+                const type = joiningType(letter);
+                const joinsBefore = type !== null && joiningType(letters[index - 1]) === 'dual';
+                const joinsAfter = type === 'dual' && joiningType(letters[index + 1]) !== null;
+                const text = (joinsBefore ? ZWJ : '') + letter.char + (joinsAfter ? ZWJ : '');
+                if (letter.span.textContent !== text) letter.span.textContent = text;
+            });
+        }
+
+        // Shows the first `count` characters of the phrase
+        function renderPhrase(characters, count) {
+            const shown = characters.slice(0, count);
+            PARTS.forEach(part => {
+                setPartText(part, shown.filter(character => character.part === part).map(character => character.char));
+            });
+            const letters = PARTS.flatMap(part => parts[part].letters);
+            shapeLetters(letters);
+        }
+
+        // Keeps the written-out phrase on screen before it is deleted
+        function holdPhrase() {
+            typingTimer = setTimeout(() => {
+                isDeleting = true;
+                typePhrase();
+            }, hold);
+        }
+
+        function typePhrase() {
+            const characters = phraseCharacters(phrases[phraseIndex]);
+
+            if (!isDeleting) {
+                charIndex++;
+                renderPhrase(characters, charIndex);
+                if (charIndex >= characters.length) {
+                    announcePhrase();
+                    holdPhrase();
+                    return;
+                }
+                schedule(100);
+                return;
+            }
+
+            const nextIndex = (phraseIndex + 1) % phrases.length;
+            const keep = mode === 'morph' ? sharedLength(characters, phraseCharacters(phrases[nextIndex])) : 0;
+            if (charIndex > keep) {
+                charIndex--;
+                renderPhrase(characters, charIndex);
+                schedule(50);
+                return;
+            }
+
+            isDeleting = false;
+            phraseIndex = nextIndex;
+            heading.dir = phraseDirection(phrases[phraseIndex]);
+            schedule(keep > 0 ? 100 : 500);
+        }
+
+        // Screen readers skip the letters and the cursor and hear each whole phrase once from a
+        // polite live region instead
+        typingText.setAttribute('aria-hidden', 'true');
+        cursorElement.setAttribute('aria-hidden', 'true');
+        const liveRegion = document.createElement('span');
+        liveRegion.className = 'visually-hidden';
+        liveRegion.setAttribute('aria-live', 'polite');
+        liveRegion.setAttribute('aria-atomic', 'true');
+        heading.appendChild(liveRegion);
+
+        function phraseText(phrase) {
+            return phrase.prefix + phrase.highlight + phrase.suffix;
+        }
+
+        function announcePhrase() {
+            const phrase = phrases[phraseIndex];
+            const text = phraseText(phrase);
+            if (liveRegion.textContent !== text) liveRegion.textContent = text;
+            typingBlock.dispatchEvent(new CustomEvent('phrasechange', {
+                bubbles: true,
+                detail: {
+                    index: phraseIndex,
+                    text,
+                    phrase: { prefix: phrase.prefix, highlight: phrase.highlight, suffix: phrase.suffix }
+                }
+            }));
+        }
+
+        // The heading has its text from the start, before the first phrase is typed out
+        liveRegion.textContent = phraseText(phrases[phraseIndex]);
+
+        // Reduced motion: the current phrase is written out at once and stays, the cursor stops blinking
+        function showStill() {
+            clearTimeout(typingTimer);
+            const characters = phraseCharacters(phrases[phraseIndex]);
+            const isShown = !isDeleting && charIndex >= characters.length;
+            isDeleting = false;
+            charIndex = characters.length;
+            renderPhrase(characters, charIndex);
+            cursorElement.classList.remove('is-blinking');
+            if (!isShown) announcePhrase();
+        }
+
+        // Typing picks up again by holding the phrase that is already written out. The blink is a
+        // CSS animation, nothing runs for it here.
+        function onMotionChange(reduced) {
+            if (reduced) {
+                showStill();
+            } else {
+                cursorElement.classList.add('is-blinking');
+                holdPhrase();
+            }
+        }
+        const unsubscribeMotion = motionPreference.subscribe(onMotionChange);
+
+        heading.dir = phraseDirection(phrases[phraseIndex]);
+        if (motionPreference.reduced) {
+            showStill();
+        } else {
+            cursorElement.classList.add('is-blinking');
+            schedule(0);
+        }
+
+        const animation = {
+            destroy() {
+                if (activeAnimation !== animation) return;
+                activeAnimation = null;
+                clearTimeout(typingTimer);
+                unsubscribeMotion();
+                PARTS.forEach(part => parts[part].letters.forEach(letter => letter.spring.detach()));
+                typingText.innerHTML = '';
+                typingText.removeAttribute('aria-hidden');
+                cursorElement.removeAttribute('aria-hidden');
+                liveRegion.remove();
+                cursorElement.classList.remove('is-blinking');
+                if (headingDir === null) {
+                    heading.removeAttribute('dir');
+                } else {
+                    heading.setAttribute('dir', headingDir);
+                }
+            }
+        };
+        activeAnimation = animation;
+        return animation;
+    };
+    
+})();